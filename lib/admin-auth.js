@@ -0,0 +1,86 @@
+// ✅ ADMIN API KEYS - Hashed at rest, role-based access for operator routes
+// Roles are ordered: viewer (read-only inspection) < operator (session kill
+// switches, circuit breaker control) < admin (fault injection, configuration).
+//
+// ADMIN_API_KEYS shape - only SHA-256 digests are stored, never the keys
+// (generate entries with `npm run admin:key -- <id> <role> [tenant]`):
+// {
+//   "keys": [
+//     { "id": "ops-oncall", "role": "operator", "sha256": "9f86d0...0f00a08" },
+//     { "id": "acme-booth", "role": "viewer", "sha256": "...", "tenant": "acme" }
+//   ]
+// }
+const crypto = require('crypto');
+
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+const KEY_PREFIX = 'dxa_';
+
+const hashAdminKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// High-entropy random keys, so a plain SHA-256 digest is enough at rest
+function generateAdminKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { key, sha256: hashAdminKey(key) };
+}
+
+function validateAdminKeys(config) {
+    const keys = config && config.keys;
+    if (!Array.isArray(keys)) {
+        throw new Error('Admin key config must have a "keys" array');
+    }
+
+    const seen = new Set();
+    return keys.map((entry, index) => {
+        const label = entry && entry.id ? entry.id : `keys[${index}]`;
+        if (!entry || typeof entry.id !== 'string' || !entry.id) {
+            throw new Error(`${label}: id is required`);
+        }
+        if (seen.has(entry.id)) {
+            throw new Error(`${label}: duplicate key id`);
+        }
+        seen.add(entry.id);
+        if (!ADMIN_ROLES.includes(entry.role)) {
+            throw new Error(`${label}: role must be one of ${ADMIN_ROLES.join(', ')}`);
+        }
+        if (typeof entry.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(entry.sha256)) {
+            throw new Error(`${label}: sha256 must be a hex SHA-256 digest of the key`);
+        }
+        if (entry.tenant !== undefined && typeof entry.tenant !== 'string') {
+            throw new Error(`${label}: tenant must be a tenant id`);
+        }
+        return {
+            id: entry.id,
+            role: entry.role,
+            digest: Buffer.from(entry.sha256.toLowerCase(), 'hex'),
+            tenant: entry.tenant || null
+        };
+    });
+}
+
+class AdminKeyStore {
+    constructor(config = { keys: [] }) {
+        this.keys = validateAdminKeys(config);
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    // Returns { id, role, tenant } for a presented key, or null
+    verify(presentedKey) {
+        if (typeof presentedKey !== 'string' || !presentedKey) return null;
+        const presented = Buffer.from(hashAdminKey(presentedKey), 'hex');
+
+        let found = null;
+        for (const key of this.keys) {
+            if (crypto.timingSafeEqual(presented, key.digest)) found = key;
+        }
+        return found ? { id: found.id, role: found.role, tenant: found.tenant } : null;
+    }
+
+    static hasRole(role, required) {
+        return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+    }
+}
+
+module.exports = { AdminKeyStore, ADMIN_ROLES, hashAdminKey, generateAdminKey };
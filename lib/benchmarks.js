@@ -0,0 +1,402 @@
+// ✅ LATENCY BENCHMARKS - Scripted runs of a question set against the avatar
+// A run is created here (from the page or any API client) and driven by a
+// page that has the avatar running for the run's conversation: the page
+// claims the run, asks every planned question as a typed question and reports
+// each turn back. Runs persist in one JSON file, rewritten atomically. The
+// summary (per-stage percentiles, per-question medians and outliers) is
+// computed from measured turns; warm-up turns are recorded but left out.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { LatencyStore, LATENCY_STAGES } = require('./latency-store');
+
+const MAX_QUESTIONS = 100;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_PLANNED_TURNS = 1000;
+const MAX_LABEL_LENGTH = 200;
+const RUN_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+const REPORTED_QUANTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+// [default, min, max] for each run option
+const OPTION_LIMITS = {
+    iterations: [3, 1, 50],
+    warmupTurns: [1, 0, 20],
+    pacingMs: [2000, 0, 60000],
+    turnTimeoutMs: [30000, 1000, 120000]
+};
+
+const invalid = (message, status = 400) => {
+    const error = new Error(message);
+    error.code = 'INVALID_BENCHMARK';
+    error.status = status;
+    return error;
+};
+
+function validateQuestions(questions) {
+    if (!Array.isArray(questions) || questions.length === 0) {
+        throw invalid('questions must be a non-empty list');
+    }
+    if (questions.length > MAX_QUESTIONS) {
+        throw invalid(`A question set holds at most ${MAX_QUESTIONS} questions`);
+    }
+    return questions.map((question, index) => {
+        if (typeof question !== 'string' || !question.trim()) {
+            throw invalid(`questions[${index}] must be a non-empty string`);
+        }
+        if (question.length > MAX_QUESTION_LENGTH) {
+            throw invalid(`questions[${index}] must be at most ${MAX_QUESTION_LENGTH} characters`);
+        }
+        return question.trim();
+    });
+}
+
+// An uploaded question set: a JSON/YAML list, { questions: [...] }, or
+// plain text with one question per line
+function parseQuestionSet(document) {
+    if (typeof document !== 'string' || !document.trim()) {
+        throw invalid('Question set is empty');
+    }
+
+    let parsed;
+    try {
+        parsed = YAML.parse(document);
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (Array.isArray(parsed)) return validateQuestions(parsed);
+    if (parsed && typeof parsed === 'object' && Array.isArray(parsed.questions)) {
+        return validateQuestions(parsed.questions);
+    }
+    return validateQuestions(document.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#')));
+}
+
+function validateOptions(input = {}) {
+    const options = {};
+    for (const [name, [fallback, min, max]] of Object.entries(OPTION_LIMITS)) {
+        const value = input[name] === undefined ? fallback : input[name];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw invalid(`${name} must be an integer between ${min} and ${max}`);
+        }
+        options[name] = value;
+    }
+    return options;
+}
+
+// Warm-up turns cycle through the questions, then every question is asked
+// `iterations` times, round-robin so slow drift hits all questions equally
+function buildPlan(questions, { iterations, warmupTurns }) {
+    const plan = [];
+    for (let turn = 0; turn < warmupTurns; turn++) {
+        plan.push({ index: plan.length, question: questions[turn % questions.length], iteration: 0, warmup: true });
+    }
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+        for (const question of questions) {
+            plan.push({ index: plan.length, question, iteration, warmup: false });
+        }
+    }
+    if (plan.length > MAX_PLANNED_TURNS) {
+        throw invalid(`A run is limited to ${MAX_PLANNED_TURNS} turns - use fewer questions or iterations`);
+    }
+    return plan;
+}
+
+// Nearest-rank quantile of sorted values
+const quantile = (sorted, q) => sorted[Math.max(Math.ceil(q * sorted.length) - 1, 0)];
+
+function describe(values) {
+    if (values.length === 0) return { count: 0 };
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+    const result = {
+        count: sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: Math.round(mean),
+        stddev: Math.round(Math.sqrt(variance))
+    };
+    for (const [name, q] of Object.entries(REPORTED_QUANTILES)) {
+        result[name] = quantile(sorted, q);
+    }
+    return result;
+}
+
+function summarize(run) {
+    const measured = run.turns.filter(turn => !turn.warmup && !turn.error);
+
+    const stages = {};
+    for (const stage of LATENCY_STAGES) {
+        stages[stage] = describe(measured.map(turn => turn.stages[stage]).filter(value => value !== undefined));
+    }
+
+    const questions = run.questions.map(question => {
+        const turns = run.turns.filter(turn => !turn.warmup && turn.question === question);
+        const totals = turns.filter(turn => !turn.error && turn.stages.total !== undefined).map(turn => turn.stages.total);
+        const { count, p50, mean } = describe(totals);
+        return { question, count, failed: turns.filter(turn => turn.error).length, p50, mean };
+    });
+
+    // Tukey's fences on total latency; needs a handful of turns to mean anything
+    let outliers = [];
+    const totals = measured.filter(turn => turn.stages.total !== undefined);
+    if (totals.length >= 4) {
+        const sorted = totals.map(turn => turn.stages.total).sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const low = q1 - 1.5 * (q3 - q1);
+        const high = q3 + 1.5 * (q3 - q1);
+        outliers = totals
+            .filter(turn => turn.stages.total < low || turn.stages.total > high)
+            .map(({ index, question, iteration, stages: { total } }) => ({
+                index, question, iteration, total, fence: total > high ? 'high' : 'low'
+            }));
+    }
+
+    return {
+        plannedTurns: run.plan.length,
+        recordedTurns: run.turns.length,
+        warmupTurns: run.turns.filter(turn => turn.warmup).length,
+        measuredTurns: measured.length,
+        failedTurns: run.turns.filter(turn => turn.error).length,
+        stages,
+        questions,
+        outliers
+    };
+}
+
+class BenchmarkRegistry {
+    constructor({ filePath, maxRunsPerTenant = 100, maxQueuedPerTenant = 10, abandonAfterMs = 120000, queuedExpiryMs = 3600000 } = {}) {
+        this.filePath = filePath;
+        this.maxRunsPerTenant = maxRunsPerTenant;
+        this.maxQueuedPerTenant = maxQueuedPerTenant;
+        this.abandonAfterMs = abandonAfterMs;
+        this.queuedExpiryMs = queuedExpiryMs;
+        this.runs = new Map();
+        this.writeQueue = Promise.resolve();
+
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            if (!fs.existsSync(this.filePath)) return;
+
+            const { runs = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const run of runs) {
+                this.runs.set(run.id, run);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Benchmark store unavailable (${error.code || error.message}) - keeping runs in memory only`);
+            this.filePath = null;
+        }
+    }
+
+    persist() {
+        if (!this.filePath) return this.writeQueue;
+
+        const tempPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify({ runs: [...this.runs.values()] })))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                console.error(`❌ Failed to persist benchmark runs: ${error.code || error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    create(tenantId, { conversationId, questions, options, label, createdBy }) {
+        if (label !== undefined && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+            throw invalid(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+        }
+
+        const validQuestions = validateQuestions(questions);
+        const validOptions = validateOptions(options);
+        if (this.list(tenantId, { status: 'queued', limit: Infinity }).length >= this.maxQueuedPerTenant) {
+            throw invalid(`Tenant already has ${this.maxQueuedPerTenant} queued runs - wait for one to start or cancel one`, 429);
+        }
+        const now = new Date().toISOString();
+        const run = {
+            id: `bench_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+            tenant: tenantId,
+            conversationId,
+            label: label || null,
+            status: 'queued',
+            options: validOptions,
+            questions: validQuestions,
+            plan: buildPlan(validQuestions, validOptions),
+            turns: [],
+            summary: null,
+            createdBy: createdBy || null,
+            claimedBy: null,
+            error: null,
+            createdAt: now,
+            startedAt: null,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        this.runs.set(run.id, run);
+        this.prune(tenantId);
+        this.persist();
+        return run;
+    }
+
+    // Finished runs beyond the per-tenant limit are dropped, oldest first
+    prune(tenantId) {
+        const finished = [...this.runs.values()]
+            .filter(run => run.tenant === tenantId && FINISHED_STATUSES.includes(run.status))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const total = [...this.runs.values()].filter(run => run.tenant === tenantId).length;
+        for (const run of finished.slice(0, Math.max(total - this.maxRunsPerTenant, 0))) {
+            this.runs.delete(run.id);
+        }
+    }
+
+    // A running run whose page went away would otherwise stay running forever,
+    // and a run no page ever claims would stay queued forever
+    expireAbandoned(now = Date.now()) {
+        for (const run of this.runs.values()) {
+            if (run.status === 'queued' && now - Date.parse(run.createdAt) > this.queuedExpiryMs) {
+                this.finish(run, 'failed', 'Expired - no page claimed the run');
+                continue;
+            }
+            if (run.status !== 'running') continue;
+            const timeoutMs = Math.max(this.abandonAfterMs, run.options.turnTimeoutMs * 2 + run.options.pacingMs);
+            if (now - Date.parse(run.updatedAt) > timeoutMs) {
+                this.finish(run, 'failed', 'Abandoned - no turns reported by the driving page');
+            }
+        }
+    }
+
+    finish(run, status, error = null) {
+        const now = new Date().toISOString();
+        run.status = status;
+        run.error = error;
+        run.summary = summarize(run);
+        run.updatedAt = now;
+        run.finishedAt = now;
+        this.persist();
+        return run;
+    }
+
+    get(tenantId, id) {
+        this.expireAbandoned();
+        const run = this.runs.get(id);
+        return run && run.tenant === tenantId ? run : null;
+    }
+
+    list(tenantId, { conversationId, status, limit = 50 } = {}) {
+        if (status && !RUN_STATUSES.includes(status)) {
+            throw invalid(`Unknown status "${status}" - expected one of ${RUN_STATUSES.join(', ')}`);
+        }
+        this.expireAbandoned();
+        return [...this.runs.values()]
+            .filter(run => run.tenant === tenantId)
+            .filter(run => !conversationId || run.conversationId === conversationId)
+            .filter(run => !status || run.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    // Oldest queued run waiting for a page running this conversation
+    next(tenantId, conversationId) {
+        return this.list(tenantId, { conversationId, status: 'queued', limit: Infinity }).pop() || null;
+    }
+
+    claim(tenantId, id, { claimedBy } = {}) {
+        const run = this.get(tenantId, id);
+        if (!run) return null;
+        if (run.status !== 'queued') {
+            throw invalid(`Run ${id} is ${run.status} and cannot be started again`, 409);
+        }
+
+        const now = new Date().toISOString();
+        run.status = 'running';
+        run.claimedBy = claimedBy || null;
+        run.startedAt = now;
+        run.updatedAt = now;
+        this.persist();
+        return run;
+    }
+
+    // Stores one turn of the plan; the run completes with its last turn.
+    // Only the caller that claimed the run may report its turns.
+    recordTurn(tenantId, id, input = {}, { reportedBy } = {}) {
+        const run = this.get(tenantId, id);
+        if (!run) return null;
+        if (run.status !== 'running') {
+            throw invalid(`Run ${id} is ${run.status} - turns can only be reported while it is running`, 409);
+        }
+        if (run.claimedBy !== (reportedBy || null)) {
+            throw invalid(`Run ${id} was claimed by another caller`, 403);
+        }
+
+        const planned = run.plan[input.index];
+        if (!Number.isInteger(input.index) || !planned) {
+            throw invalid(`index must be a planned turn between 0 and ${run.plan.length - 1}`);
+        }
+        if (run.turns.some(turn => turn.index === input.index)) {
+            throw invalid(`Turn ${input.index} was already reported`, 409);
+        }
+        if (input.error !== undefined && (typeof input.error !== 'string' || !input.error)) {
+            throw invalid('error must be a non-empty string');
+        }
+
+        const { stages, timestamps, responseText } = LatencyStore.normalize(input);
+        if (!input.error && stages.total === undefined) {
+            throw invalid('A measured turn needs a total latency - report a failed turn with error instead');
+        }
+
+        run.turns.push({
+            ...planned,
+            stages,
+            timestamps,
+            responseText,
+            error: input.error || null,
+            recordedAt: new Date().toISOString()
+        });
+        run.turns.sort((a, b) => a.index - b.index);
+        run.updatedAt = new Date().toISOString();
+
+        if (run.turns.length === run.plan.length) {
+            return this.finish(run, 'completed');
+        }
+        this.persist();
+        return run;
+    }
+
+    cancel(tenantId, id) {
+        const run = this.get(tenantId, id);
+        if (!run) return null;
+        if (FINISHED_STATUSES.includes(run.status)) {
+            throw invalid(`Run ${id} is already ${run.status}`, 409);
+        }
+        return this.finish(run, 'cancelled');
+    }
+
+    // Listing shape: everything but the plan and the individual turns
+    static overview(run) {
+        const { plan, turns, questions, ...rest } = run;
+        return {
+            ...rest,
+            questionCount: questions.length,
+            plannedTurns: plan.length,
+            recordedTurns: turns.length
+        };
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+}
+
+module.exports = { BenchmarkRegistry, parseQuestionSet, summarize };
@@ -0,0 +1,245 @@
+// ✅ AVATAR CATALOG - Avatars, voices and languages offered to the page
+// Loaded from a JSON or YAML file and re-read whenever the file changes. A
+// catalog that fails validation at startup stops the server; a bad edit
+// while running is logged and the last good catalog keeps being served.
+//
+// Catalog shape (see config/catalog.yaml):
+//   languages:   [{ code: en-US, name: English (US) }]
+//   proportions: ["16:9", "9:16"]
+//   voices:      [{ id, name, description?, languages: [code], ttsSpeaker? }]
+//   avatars:     [{ id, name, description?, modelId?, preview, proportion,
+//                   videoWidth?, videoHeight?, languages: [code],
+//                   voices: [voiceId], defaultVoice? }]
+const fs = require('fs');
+const YAML = require('yaml');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PROPORTION_PATTERN = /^\d{1,2}:\d{1,2}$/;
+const PREVIEW_PATTERN = /^(\/|https:\/\/|data:image\/)/;
+const WATCH_INTERVAL_MS = 2000;
+
+function list(value, label) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${label} must be a non-empty list`);
+    }
+    return value;
+}
+
+function requireString(entry, field, label) {
+    if (typeof entry[field] !== 'string' || !entry[field]) {
+        throw new Error(`${label}: ${field} is required`);
+    }
+    return entry[field];
+}
+
+function optionalString(entry, field, label) {
+    if (entry[field] === undefined || entry[field] === null) return null;
+    if (typeof entry[field] !== 'string') throw new Error(`${label}: ${field} must be a string`);
+    return entry[field];
+}
+
+function uniqueIds(entries, label) {
+    const seen = new Set();
+    for (const entry of entries) {
+        if (seen.has(entry.id)) throw new Error(`${label}: duplicate id "${entry.id}"`);
+        seen.add(entry.id);
+    }
+    return seen;
+}
+
+function references(values, known, label, kind) {
+    const unknown = list(values, label).filter(value => !known.has(value));
+    if (unknown.length > 0) {
+        throw new Error(`${label} refers to unknown ${kind} ${unknown.map(value => `"${value}"`).join(', ')}`);
+    }
+    return values;
+}
+
+// Returns a normalized catalog or throws with the first problem found
+function validateCatalog(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Catalog must be an object with languages, proportions, voices and avatars');
+    }
+
+    const languages = list(config.languages, 'languages').map((entry, index) => {
+        const label = `languages[${index}]`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+        const code = requireString(entry, 'code', label);
+        if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code)) {
+            throw new Error(`${label}: code must be a language tag such as "en-US"`);
+        }
+        return { code, name: requireString(entry, 'name', label) };
+    });
+    const languageCodes = new Set(languages.map(language => language.code));
+    if (languageCodes.size !== languages.length) throw new Error('languages: duplicate code');
+
+    const proportions = list(config.proportions, 'proportions');
+    for (const proportion of proportions) {
+        if (typeof proportion !== 'string' || !PROPORTION_PATTERN.test(proportion)) {
+            throw new Error(`proportions: "${proportion}" must look like "16:9"`);
+        }
+    }
+
+    const voices = list(config.voices, 'voices').map((entry, index) => {
+        const label = `voices[${index}]`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+        const id = requireString(entry, 'id', label);
+        if (!ID_PATTERN.test(id)) throw new Error(`${label}: id must be letters, digits, "_" or "-"`);
+        return {
+            id,
+            name: requireString(entry, 'name', label),
+            description: optionalString(entry, 'description', label) || '',
+            ttsSpeaker: optionalString(entry, 'ttsSpeaker', label),
+            languages: references(entry.languages, languageCodes, `${label}.languages`, 'language')
+        };
+    });
+    const voiceIds = uniqueIds(voices, 'voices');
+
+    const avatars = list(config.avatars, 'avatars').map((entry, index) => {
+        const label = `avatars[${index}]`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+        const id = requireString(entry, 'id', label);
+        if (!ID_PATTERN.test(id)) throw new Error(`${label}: id must be letters, digits, "_" or "-"`);
+
+        const preview = requireString(entry, 'preview', label);
+        if (!PREVIEW_PATTERN.test(preview)) {
+            throw new Error(`${label}: preview must be a site path ("/..."), an https URL or a data:image URL`);
+        }
+        const proportion = requireString(entry, 'proportion', label);
+        if (!proportions.includes(proportion)) {
+            throw new Error(`${label}: proportion "${proportion}" is not one of ${proportions.join(', ')}`);
+        }
+        for (const field of ['videoWidth', 'videoHeight']) {
+            if (entry[field] !== undefined && !(Number.isInteger(entry[field]) && entry[field] > 0)) {
+                throw new Error(`${label}: ${field} must be a positive integer`);
+            }
+        }
+
+        const avatarVoices = references(entry.voices, voiceIds, `${label}.voices`, 'voice');
+        const defaultVoice = entry.defaultVoice === undefined ? avatarVoices[0] : entry.defaultVoice;
+        if (!avatarVoices.includes(defaultVoice)) {
+            throw new Error(`${label}: defaultVoice "${defaultVoice}" is not one of its voices`);
+        }
+
+        return {
+            id,
+            name: requireString(entry, 'name', label),
+            description: optionalString(entry, 'description', label) || '',
+            modelId: entry.modelId === undefined || entry.modelId === null ? null : String(entry.modelId),
+            preview,
+            proportion,
+            videoWidth: entry.videoWidth || null,
+            videoHeight: entry.videoHeight || null,
+            languages: references(entry.languages, languageCodes, `${label}.languages`, 'language'),
+            voices: avatarVoices,
+            defaultVoice
+        };
+    });
+    uniqueIds(avatars, 'avatars');
+
+    return { languages, proportions, voices, avatars };
+}
+
+class AvatarCatalog {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.catalog = null;
+        this.loadedAt = null;
+        this.lastError = null;
+        this.watcher = null;
+    }
+
+    // Throws if the file is missing or invalid, leaving the current catalog in place
+    load() {
+        const catalog = validateCatalog(YAML.parse(fs.readFileSync(this.filePath, 'utf8')));
+        this.catalog = catalog;
+        this.loadedAt = new Date();
+        this.lastError = null;
+        return catalog;
+    }
+
+    // Polls the file so edits made by replace-on-save editors and config
+    // management are picked up too
+    watch() {
+        if (this.watcher) return;
+        this.watcher = fs.watchFile(this.filePath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+            try {
+                const { avatars, voices } = this.load();
+                console.log(`🎭 Catalog reloaded: ${avatars.length} avatars, ${voices.length} voices`);
+            } catch (error) {
+                this.lastError = { message: error.message, at: new Date().toISOString() };
+                console.error(`❌ Catalog reload failed, keeping the previous catalog: ${error.message}`);
+            }
+        });
+        this.watcher.unref();
+    }
+
+    unwatch() {
+        if (!this.watcher) return;
+        fs.unwatchFile(this.filePath);
+        this.watcher = null;
+    }
+
+    avatar(id) {
+        return this.catalog.avatars.find(avatar => avatar.id === id) || null;
+    }
+
+    // Voices an avatar can speak with, optionally narrowed to one language
+    voicesFor(avatarId, language) {
+        const avatar = this.avatar(avatarId);
+        if (!avatar) return null;
+        return this.catalog.voices.filter(voice => avatar.voices.includes(voice.id)
+            && (!language || voice.languages.includes(language)));
+    }
+
+    // The avatar's default voice, unless the language rules it out
+    defaultVoiceFor(avatarId, language) {
+        const avatar = this.avatar(avatarId);
+        const voices = this.voicesFor(avatarId, language);
+        if (!voices || voices.length === 0) return null;
+        return voices.some(voice => voice.id === avatar.defaultVoice) ? avatar.defaultVoice : voices[0].id;
+    }
+
+    language(code) {
+        return this.catalog.languages.find(language => language.code === code) || null;
+    }
+
+    // Checks an avatar/voice/language choice against the catalog. Ids the
+    // catalog doesn't know are passed through as raw DUIX model/voice ids.
+    // Returns { avatar, voice } (catalog entries or null) or { error }.
+    resolveSelection({ avatarId, voiceId, language }) {
+        if (language && !this.language(language)) {
+            return { error: `Unknown language "${language}" - expected one of ${this.catalog.languages.map(entry => entry.code).join(', ')}` };
+        }
+
+        const avatar = avatarId ? this.avatar(avatarId) : null;
+        if (avatar && language && !avatar.languages.includes(language)) {
+            return { error: `Avatar "${avatar.id}" does not support ${language}` };
+        }
+
+        let voice = voiceId ? this.catalog.voices.find(entry => entry.id === voiceId) || null : null;
+        if (voice && avatar && !avatar.voices.includes(voice.id)) {
+            return { error: `Voice "${voice.id}" is not available for avatar "${avatar.id}"` };
+        }
+        if (voice && language && !voice.languages.includes(language)) {
+            return { error: `Voice "${voice.id}" does not speak ${language}` };
+        }
+        if (!voiceId && avatar) {
+            const defaultVoiceId = this.defaultVoiceFor(avatar.id, language);
+            voice = this.catalog.voices.find(entry => entry.id === defaultVoiceId) || null;
+        }
+
+        return { avatar, voice };
+    }
+
+    snapshot() {
+        return {
+            ...this.catalog,
+            loadedAt: this.loadedAt.toISOString(),
+            reloadError: this.lastError
+        };
+    }
+}
+
+module.exports = { AvatarCatalog, validateCatalog };
@@ -0,0 +1,242 @@
+// ✅ CIRCUIT BREAKERS - One per upstream DUIX endpoint
+// CLOSED: calls flow; outcomes feed a rolling window, and the breaker opens
+//   when the window holds at least minimumRequests calls and the failure
+//   rate reaches failureRateThreshold.
+// OPEN: calls are rejected until recoveryTimeoutMs has passed since opening.
+// HALF_OPEN: at most halfOpenMaxProbes calls run at once as probes, everyone
+//   else is rejected; successThreshold probe successes close the breaker and
+//   any probe failure re-opens it.
+// Operators can pin a breaker open or closed until it is reset.
+
+const DEFAULT_BREAKER_CONFIG = {
+    failureRateThreshold: 0.5,
+    minimumRequests: 5,
+    windowMs: 60000,
+    recoveryTimeoutMs: 60000, // 1 minute
+    halfOpenMaxProbes: 1,
+    successThreshold: 2,
+    probeTimeoutMs: 30000
+};
+const WINDOW_BUCKETS = 10;
+const HISTORY_SIZE = 50;
+
+// Success/failure counts over the last windowMs, kept in WINDOW_BUCKETS slices
+class RollingOutcomeWindow {
+    constructor(windowMs) {
+        this.windowMs = windowMs;
+        this.bucketMs = Math.max(Math.floor(windowMs / WINDOW_BUCKETS), 1);
+        this.buckets = new Map();
+    }
+
+    record(failed, now = Date.now()) {
+        const bucketStart = Math.floor(now / this.bucketMs) * this.bucketMs;
+        let bucket = this.buckets.get(bucketStart);
+        if (!bucket) {
+            // Opening a bucket is when an old one can fall out of the window
+            this.prune(now);
+            bucket = { successes: 0, failures: 0 };
+            this.buckets.set(bucketStart, bucket);
+        }
+        if (failed) bucket.failures++;
+        else bucket.successes++;
+    }
+
+    prune(now = Date.now()) {
+        for (const bucketStart of this.buckets.keys()) {
+            if (bucketStart + this.bucketMs <= now - this.windowMs) {
+                this.buckets.delete(bucketStart);
+            }
+        }
+    }
+
+    totals(now = Date.now()) {
+        this.prune(now);
+        let successes = 0;
+        let failures = 0;
+        for (const bucket of this.buckets.values()) {
+            successes += bucket.successes;
+            failures += bucket.failures;
+        }
+        const requests = successes + failures;
+        return { requests, failures, failureRate: requests ? failures / requests : 0 };
+    }
+
+    clear() {
+        this.buckets.clear();
+    }
+}
+
+class CircuitBreaker {
+    constructor(name, config = {}, { onTransition = () => {} } = {}) {
+        this.name = name;
+        this.config = { ...DEFAULT_BREAKER_CONFIG, ...config };
+        this.onTransition = onTransition;
+
+        this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
+        this.window = new RollingOutcomeWindow(this.config.windowMs);
+        this.openedAt = 0;
+        this.probeStartTimes = [];
+        this.probeSuccesses = 0;
+        this.lastFailureTime = 0;
+        this.lastError = null;
+        this.forcedState = null;
+        this.history = [];
+    }
+
+    transition(state, reason) {
+        if (this.state === state) return;
+
+        const entry = { from: this.state, to: state, reason, at: new Date().toISOString() };
+        this.history.push(entry);
+        if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+        this.state = state;
+        this.probeStartTimes = [];
+        this.probeSuccesses = 0;
+        if (state === 'OPEN') this.openedAt = Date.now();
+        if (state === 'CLOSED') this.window.clear();
+
+        this.onTransition(this.name, entry);
+    }
+
+    // Probes that never reported back (crashed caller) stop holding a slot
+    activeProbes(now = Date.now()) {
+        this.probeStartTimes = this.probeStartTimes.filter(start => now - start < this.config.probeTimeoutMs);
+        return this.probeStartTimes.length;
+    }
+
+    // Returns true when the caller may hit upstream; in HALF_OPEN that makes
+    // the caller a probe, which must report back via recordSuccess/recordFailure
+    canAttempt() {
+        if (this.forcedState) return this.forcedState === 'CLOSED';
+
+        const now = Date.now();
+        if (this.state === 'CLOSED') return true;
+        if (this.state === 'OPEN') {
+            if (now - this.openedAt < this.config.recoveryTimeoutMs) return false;
+            this.transition('HALF_OPEN', 'recovery_timeout_elapsed');
+        }
+
+        if (this.activeProbes(now) >= this.config.halfOpenMaxProbes) return false;
+        this.probeStartTimes.push(now);
+        return true;
+    }
+
+    recordSuccess() {
+        this.window.record(false);
+        if (this.forcedState || this.state !== 'HALF_OPEN') return;
+
+        this.probeStartTimes.shift();
+        this.probeSuccesses++;
+        if (this.probeSuccesses >= this.config.successThreshold) {
+            this.transition('CLOSED', 'probes_succeeded');
+        }
+    }
+
+    recordFailure(error) {
+        this.window.record(true);
+        this.lastFailureTime = Date.now();
+        this.lastError = error ? (error.code || error.message || String(error)) : null;
+
+        if (this.forcedState) return;
+        if (this.state === 'HALF_OPEN') {
+            this.transition('OPEN', 'probe_failed');
+            return;
+        }
+        if (this.state === 'CLOSED') {
+            const { requests, failureRate } = this.window.totals();
+            if (requests >= this.config.minimumRequests && failureRate >= this.config.failureRateThreshold) {
+                this.transition('OPEN', 'failure_rate_exceeded');
+            }
+        }
+    }
+
+    // ✅ Manual control - forced states hold until reset()
+    forceOpen() {
+        this.forcedState = 'OPEN';
+        this.transition('OPEN', 'forced_open');
+    }
+
+    forceClose() {
+        this.forcedState = 'CLOSED';
+        this.transition('CLOSED', 'forced_closed');
+    }
+
+    reset() {
+        this.forcedState = null;
+        this.lastError = null;
+        this.window.clear();
+        this.transition('CLOSED', 'reset');
+    }
+
+    snapshot() {
+        const now = Date.now();
+        const nextHalfOpenTime = this.state === 'OPEN' && !this.forcedState
+            ? new Date(this.openedAt + this.config.recoveryTimeoutMs).toISOString()
+            : null;
+        const window = this.window.totals(now);
+
+        return {
+            endpoint: this.name,
+            state: this.state,
+            forced: this.forcedState !== null,
+            failures: window.failures,
+            window: {
+                requests: window.requests,
+                failures: window.failures,
+                failureRate: Math.round(window.failureRate * 1000) / 1000
+            },
+            halfOpen: this.state === 'HALF_OPEN'
+                ? { activeProbes: this.activeProbes(now), successes: this.probeSuccesses }
+                : null,
+            config: { ...this.config },
+            lastFailureTime: this.lastFailureTime ? new Date(this.lastFailureTime).toISOString() : null,
+            lastError: this.lastError,
+            nextHalfOpenTime,
+            transitions: [...this.history]
+        };
+    }
+}
+
+function validateBreakerConfig(name, entry) {
+    for (const [field, value] of Object.entries(entry)) {
+        if (!(field in DEFAULT_BREAKER_CONFIG)) {
+            throw new Error(`${name}: unknown setting "${field}" - expected one of ${Object.keys(DEFAULT_BREAKER_CONFIG).join(', ')}`);
+        }
+        if (field === 'failureRateThreshold') {
+            if (!(value > 0 && value <= 1)) {
+                throw new Error(`${name}: failureRateThreshold must be in (0, 1]`);
+            }
+        } else if (!(Number.isInteger(value) && value > 0)) {
+            throw new Error(`${name}: ${field} must be a positive integer`);
+        }
+    }
+}
+
+// Per-endpoint config: { "*": { ...defaults }, "SESSION_STOP": { ...overrides } }
+class CircuitBreakerRegistry {
+    constructor(config = {}, options = {}) {
+        for (const [name, entry] of Object.entries(config)) {
+            validateBreakerConfig(name, entry);
+        }
+        this.config = config;
+        this.options = options;
+        this.breakers = new Map();
+    }
+
+    get(name) {
+        let breaker = this.breakers.get(name);
+        if (!breaker) {
+            const config = { ...this.config['*'], ...this.config[name] };
+            breaker = new CircuitBreaker(name, config, this.options);
+            this.breakers.set(name, breaker);
+        }
+        return breaker;
+    }
+
+    all() {
+        return [...this.breakers.values()];
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitBreakerRegistry, DEFAULT_BREAKER_CONFIG };
@@ -0,0 +1,241 @@
+// ✅ CONVERSATION TEMPLATES - Reusable starting points for new conversations
+// Built-in templates ship as YAML/JSON files in templates/ and are read-only;
+// they can be cloned into tenant templates, which are editable and persisted
+// in one JSON file. Templates travel as JSON or YAML documents:
+//
+//   id: receptionist
+//   name: Receptionist
+//   description: Greets visitors and points them to the right place
+//   conversation:          # any conversation field (see lib/conversations.js)
+//     language: en
+//     persona: { name: Ava, characters: Warm, efficient front-desk host }
+//     prompt: ...
+//     scripts: { welcome: "Welcome! Who are you here to see?" }
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { conversationFields } = require('./conversations');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const TEMPLATE_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    yaml: { contentType: 'application/yaml', extension: 'yaml' }
+};
+
+const invalid = (message, status = 400) => {
+    const error = new Error(message);
+    error.code = 'INVALID_TEMPLATE';
+    error.status = status;
+    return error;
+};
+
+function validateTemplate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('Template must be an object');
+    }
+    if (typeof input.id !== 'string' || !TEMPLATE_ID_PATTERN.test(input.id)) {
+        throw invalid('Template id must be lowercase letters, digits, "_" or "-"');
+    }
+    if (typeof input.name !== 'string' || !input.name || input.name.length > 200) {
+        throw invalid(`${input.id}: name is required (up to 200 characters)`);
+    }
+    if (input.description !== undefined && typeof input.description !== 'string') {
+        throw invalid(`${input.id}: description must be a string`);
+    }
+
+    let conversation;
+    try {
+        conversation = conversationFields(input.conversation || {});
+    } catch (error) {
+        throw invalid(`${input.id}: ${error.message}`);
+    }
+
+    return {
+        id: input.id,
+        name: input.name,
+        description: input.description || '',
+        conversation
+    };
+}
+
+// One template, or { templates: [...] }, as JSON or YAML (YAML is a superset of JSON)
+function parseTemplates(document) {
+    let parsed;
+    try {
+        parsed = YAML.parse(document);
+    } catch (error) {
+        throw invalid(`Could not parse template document: ${error.message}`);
+    }
+    const entries = parsed && Array.isArray(parsed.templates) ? parsed.templates : [parsed];
+    return entries.map(validateTemplate);
+}
+
+function serializeTemplate(template, format) {
+    const { id, name, description, conversation } = template;
+    const document = { id, name, description, conversation };
+    if (format === 'yaml') {
+        return `# DUIX conversation template - import with POST /api/duix/templates/import\n${YAML.stringify(document)}`;
+    }
+    return JSON.stringify(document, null, 2) + '\n';
+}
+
+class TemplateLibrary {
+    constructor({ builtinDirectory, filePath } = {}) {
+        this.filePath = filePath;
+        this.builtins = new Map();
+        this.templates = new Map(); // `${tenant}/${id}` -> tenant template
+        this.writeQueue = Promise.resolve();
+
+        this.loadBuiltins(builtinDirectory);
+        this.load();
+        console.log(`🧩 Conversation templates loaded: ${this.builtins.size} built-in, ${this.templates.size} custom`);
+    }
+
+    loadBuiltins(directory) {
+        if (!directory || !fs.existsSync(directory)) return;
+
+        for (const file of fs.readdirSync(directory).sort()) {
+            if (!/\.(ya?ml|json)$/.test(file)) continue;
+            try {
+                for (const template of parseTemplates(fs.readFileSync(path.join(directory, file), 'utf8'))) {
+                    this.builtins.set(template.id, { ...template, builtin: true, tenant: null });
+                }
+            } catch (error) {
+                console.warn(`⚠️  Skipping built-in template ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            if (!fs.existsSync(this.filePath)) return;
+
+            const { templates = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const template of templates) {
+                this.templates.set(`${template.tenant}/${template.id}`, template);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Template library unavailable (${error.code || error.message}) - keeping templates in memory only`);
+            this.filePath = null;
+        }
+    }
+
+    persist() {
+        if (!this.filePath) return this.writeQueue;
+
+        const tempPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify({ templates: [...this.templates.values()] }, null, 2)))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                console.error(`❌ Failed to persist conversation templates: ${error.code || error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    // Tenant templates shadow built-ins with the same id
+    get(tenantId, id) {
+        return this.templates.get(`${tenantId}/${id}`) || this.builtins.get(id) || null;
+    }
+
+    list(tenantId) {
+        const own = [...this.templates.values()].filter(template => template.tenant === tenantId);
+        const shadowed = new Set(own.map(template => template.id));
+        return [...this.builtins.values()]
+            .filter(template => !shadowed.has(template.id))
+            .concat(own)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Creates or, with replace, overwrites a tenant template
+    save(tenantId, input, { replace = false } = {}) {
+        const template = validateTemplate(input);
+        const key = `${tenantId}/${template.id}`;
+        const existing = this.templates.get(key);
+        if (existing && !replace) {
+            throw invalid(`Template "${template.id}" already exists`, 409);
+        }
+
+        const now = new Date().toISOString();
+        const saved = {
+            ...template,
+            builtin: false,
+            tenant: tenantId,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        this.templates.set(key, saved);
+        this.persist();
+        return saved;
+    }
+
+    clone(tenantId, sourceId, { id, name } = {}) {
+        const source = this.get(tenantId, sourceId);
+        if (!source) return null;
+
+        return this.save(tenantId, {
+            id: id || `${source.id}-copy`,
+            name: name || `${source.name} (copy)`,
+            description: source.description,
+            conversation: source.conversation
+        });
+    }
+
+    // Partial update: top-level fields are replaced, conversation fields merged
+    update(tenantId, id, input = {}) {
+        const existing = this.templates.get(`${tenantId}/${id}`);
+        if (!existing) {
+            if (this.builtins.has(id)) throw invalid(`"${id}" is a built-in template - clone it to edit`, 409);
+            return null;
+        }
+        if (input.id !== undefined && input.id !== id) {
+            throw invalid('Template id cannot be changed - clone the template instead');
+        }
+
+        let conversation;
+        try {
+            conversation = conversationFields(input.conversation || {}, existing.conversation);
+        } catch (error) {
+            throw invalid(`${id}: ${error.message}`);
+        }
+
+        return this.save(tenantId, {
+            id,
+            name: input.name !== undefined ? input.name : existing.name,
+            description: input.description !== undefined ? input.description : existing.description,
+            conversation
+        }, { replace: true });
+    }
+
+    // All or nothing: every template in the document is validated, and
+    // without replace any id the tenant already has is a conflict
+    import(tenantId, document, { replace = false } = {}) {
+        const incoming = parseTemplates(document);
+        const ids = incoming.map(template => template.id);
+        const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+        if (duplicate) throw invalid(`Template "${duplicate}" appears more than once`);
+        if (!replace) {
+            const conflict = ids.find(id => this.templates.has(`${tenantId}/${id}`));
+            if (conflict) throw invalid(`Template "${conflict}" already exists - import with replace to overwrite it`, 409);
+        }
+        return incoming.map(template => this.save(tenantId, template, { replace: true }));
+    }
+
+    delete(tenantId, id) {
+        if (!this.templates.delete(`${tenantId}/${id}`)) {
+            if (this.builtins.has(id)) throw invalid(`"${id}" is a built-in template and cannot be deleted`, 409);
+            return false;
+        }
+        this.persist();
+        return true;
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+}
+
+module.exports = { TemplateLibrary, parseTemplates, serializeTemplate, TEMPLATE_FORMATS };
@@ -0,0 +1,332 @@
+// ✅ CONVERSATION REGISTRY - Locally managed DUIX conversations
+// Conversations (persona, prompt, language, avatar model, voice, background
+// and scripts) are stored per tenant in one JSON file, rewritten atomically on
+// every change, and served in the shape DUIX's conversation API returns.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONVERSATION_ID_PATTERN } = require('./token-vending');
+
+// DUIX scriptType codes, in order
+const SCRIPT_TYPES = ['greeting', 'welcome', 'thinking', 'fallback', 'goodbye'];
+const MAX_TEXT_LENGTH = 4000;
+
+const DEFAULT_CONVERSATION = {
+    name: 'Avatar Assistant',
+    language: 'en',
+    persona: {
+        name: 'Avatar Assistant',
+        nickName: '',
+        gender: 1,
+        age: 0,
+        characters: 'Professional AI Assistant',
+        backStory: ''
+    },
+    prompt: 'Task: You are a professional AI assistant with a friendly and helpful personality. You provide clear, concise answers and engage naturally with users. Requirements: 1. Be helpful and professional, 2. Keep responses under 50 words, 3. Use natural conversation style, 4. Respond in the user\'s language.',
+    avatar: { modelId: null, modelName: null },
+    voice: { ttsName: null, ttsSpeaker: null, ttsSpeedRate: 0, ttsPitch: 0, ttsVolume: 0 },
+    background: null,
+    scripts: {
+        greeting: 'Hello',
+        welcome: 'Hello, I\'m your AI assistant. How can I help you today?',
+        thinking: 'Let me think about that for a moment...',
+        fallback: 'I\'m not sure I understand. Could you please rephrase that?',
+        goodbye: 'Thank you for chatting with me. Have a great day!'
+    }
+};
+
+const invalid = (message, status = 400) => {
+    const error = new Error(message);
+    error.code = 'INVALID_CONVERSATION';
+    error.status = status;
+    return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function text(value, field, { nullable = false } = {}) {
+    if (value === null && nullable) return null;
+    if (typeof value !== 'string') throw invalid(`${field} must be a string`);
+    if (value.length > MAX_TEXT_LENGTH) throw invalid(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+    return value;
+}
+
+function number(value, field) {
+    if (!Number.isFinite(value)) throw invalid(`${field} must be a number`);
+    return value;
+}
+
+// Merges a (partial) update into a conversation's editable fields,
+// validating every field that is present
+function applyFields(target, input) {
+    if (!isPlainObject(input)) throw invalid('Conversation must be an object');
+
+    if (input.name !== undefined) target.name = text(input.name, 'name');
+    if (input.language !== undefined) {
+        if (typeof input.language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(input.language)) {
+            throw invalid('language must be a language tag such as "en" or "zh-CN"');
+        }
+        target.language = input.language;
+    }
+    if (input.prompt !== undefined) target.prompt = text(input.prompt, 'prompt');
+
+    if (input.persona !== undefined) {
+        if (!isPlainObject(input.persona)) throw invalid('persona must be an object');
+        const persona = { ...target.persona };
+        for (const field of ['name', 'nickName', 'characters', 'backStory']) {
+            if (input.persona[field] !== undefined) persona[field] = text(input.persona[field], `persona.${field}`);
+        }
+        for (const field of ['gender', 'age']) {
+            if (input.persona[field] !== undefined) persona[field] = number(input.persona[field], `persona.${field}`);
+        }
+        target.persona = persona;
+    }
+
+    if (input.avatar !== undefined) {
+        if (!isPlainObject(input.avatar)) throw invalid('avatar must be an object');
+        const avatar = { ...target.avatar };
+        for (const field of ['modelId', 'modelName']) {
+            if (input.avatar[field] !== undefined) avatar[field] = text(input.avatar[field], `avatar.${field}`, { nullable: true });
+        }
+        target.avatar = avatar;
+    }
+
+    if (input.voice !== undefined) {
+        if (!isPlainObject(input.voice)) throw invalid('voice must be an object');
+        const voice = { ...target.voice };
+        for (const field of ['ttsName', 'ttsSpeaker']) {
+            if (input.voice[field] !== undefined) voice[field] = text(input.voice[field], `voice.${field}`, { nullable: true });
+        }
+        for (const field of ['ttsSpeedRate', 'ttsPitch', 'ttsVolume']) {
+            if (input.voice[field] !== undefined) voice[field] = number(input.voice[field], `voice.${field}`);
+        }
+        target.voice = voice;
+    }
+
+    if (input.background !== undefined) {
+        if (input.background === null) {
+            target.background = null;
+        } else {
+            if (!isPlainObject(input.background)) throw invalid('background must be an object or null');
+            const background = { ...(target.background || { code: null, name: null, url: null }) };
+            for (const field of ['code', 'name', 'url']) {
+                if (input.background[field] !== undefined) {
+                    background[field] = text(input.background[field], `background.${field}`, { nullable: true });
+                }
+            }
+            target.background = background;
+        }
+    }
+
+    if (input.scripts !== undefined) {
+        if (!isPlainObject(input.scripts)) throw invalid('scripts must be an object');
+        const scripts = { ...target.scripts };
+        for (const [type, value] of Object.entries(input.scripts)) {
+            if (!SCRIPT_TYPES.includes(type)) {
+                throw invalid(`Unknown script "${type}" - expected one of ${SCRIPT_TYPES.join(', ')}`);
+            }
+            scripts[type] = text(value, `scripts.${type}`, { nullable: true });
+        }
+        target.scripts = scripts;
+    }
+
+    return target;
+}
+
+// Full set of editable fields: base (the defaults) with input applied on top
+function conversationFields(input = {}, base = DEFAULT_CONVERSATION) {
+    return applyFields(JSON.parse(JSON.stringify(base)), input);
+}
+
+// Same structure as DUIX's conversation details, built from a stored record
+function toDuixConversation(conversation) {
+    const { id, persona, avatar, voice, background, scripts } = conversation;
+    return {
+        id,
+        conversationName: conversation.name,
+        language: conversation.language,
+        tenant: conversation.tenant,
+        templateId: conversation.templateId || null,
+        conversationConfigDto: null,
+        maxConversation: 2,
+        dataModelIsUsed: 1,
+        knowledgeIsUsed: 0,
+        fileIsUsed: 0,
+        thirdIsUsed: 0,
+        isFreedom: 0,
+        asrProvider: null,
+        conversationInfoDto: { id, ...persona, height: 0, weight: 0 },
+        detailDto: {
+            id,
+            conversationId: id,
+            proportion: '16:9',
+            terminalType: 0,
+            modelId: avatar.modelId,
+            modelIdType: 0,
+            imageId: null,
+            sceneId: null,
+            modelName: avatar.modelName,
+            sceneType: 0,
+            background: background ? 1 : 0,
+            backgroundDto: background ? {
+                id: 1,
+                backgroundCode: background.code,
+                backgroundName: background.name,
+                backgroundUrl: background.url,
+                fileType: 0,
+                proportion: '16:9',
+                userId: null
+            } : null,
+            modelConfig: null,
+            ttsId: null,
+            ttsName: voice.ttsName,
+            ttsConfig: null,
+            ttsUrl: '',
+            ttsVolume: voice.ttsVolume,
+            ttsSpeaker: voice.ttsSpeaker,
+            ttsSpeedRate: voice.ttsSpeedRate,
+            ttsPitch: voice.ttsPitch,
+            ttsSource: null,
+            localModelInfo: null
+        },
+        knowledgeDtoList: [],
+        kbConversationDto: null,
+        modelDtoList: [{
+            id: 1,
+            conversationId: id,
+            largeModelType: 0,
+            modelCode: 0,
+            largeName: persona.name,
+            modelId: '1',
+            prompt: conversation.prompt,
+            botUrl: ''
+        }],
+        thirdDto: null,
+        scriptDtoList: SCRIPT_TYPES
+            .map((type, scriptType) => ({ type, scriptType }))
+            .filter(({ type }) => scripts[type])
+            .map(({ type, scriptType }) => ({
+                id: scriptType + 1,
+                conversationId: id,
+                scriptType,
+                scriptContent: scripts[type],
+                ttsContent: null,
+                emotion: '0'
+            })),
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+    };
+}
+
+class ConversationRegistry {
+    constructor({ filePath, maxPerTenant = 500 } = {}) {
+        this.filePath = filePath;
+        this.maxPerTenant = maxPerTenant;
+        this.conversations = new Map(); // `${tenant}/${id}` -> conversation
+        this.writeQueue = Promise.resolve();
+
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            if (!fs.existsSync(this.filePath)) return;
+
+            const { conversations = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const conversation of conversations) {
+                this.conversations.set(`${conversation.tenant}/${conversation.id}`, conversation);
+            }
+            console.log(`🗂️  Conversations loaded: ${this.conversations.size} from ${this.filePath}`);
+        } catch (error) {
+            console.warn(`⚠️  Conversation registry unavailable (${error.code || error.message}) - keeping conversations in memory only`);
+            this.filePath = null;
+        }
+    }
+
+    // Write to a temp file and rename, so a crash never leaves a torn registry
+    persist() {
+        if (!this.filePath) return this.writeQueue;
+
+        const tempPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => {
+                const document = JSON.stringify({ conversations: [...this.conversations.values()] }, null, 2);
+                return fs.promises.writeFile(tempPath, document);
+            })
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                console.error(`❌ Failed to persist conversations: ${error.code || error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    get(tenantId, id) {
+        return this.conversations.get(`${tenantId}/${id}`) || null;
+    }
+
+    list(tenantId, { search, limit = 100, offset = 0 } = {}) {
+        const needle = search ? search.toLowerCase() : null;
+        const matches = [...this.conversations.values()]
+            .filter(conversation => conversation.tenant === tenantId)
+            .filter(conversation => !needle
+                || conversation.name.toLowerCase().includes(needle)
+                || conversation.id.toLowerCase().includes(needle))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        return { total: matches.length, conversations: matches.slice(offset, offset + limit) };
+    }
+
+    // With a template, the template's fields are applied first and the
+    // input's fields override them
+    create(tenantId, input = {}, { template } = {}) {
+        if (input.id !== undefined && (typeof input.id !== 'string' || !CONVERSATION_ID_PATTERN.test(input.id))) {
+            throw invalid('id must be letters, digits, "_" or "-", up to 64 characters');
+        }
+        if (input.id && this.conversations.has(`${tenantId}/${input.id}`)) {
+            throw invalid(`Conversation "${input.id}" already exists`, 409);
+        }
+        if (this.list(tenantId, { limit: 0 }).total >= this.maxPerTenant) {
+            throw invalid(`Tenant already has the maximum of ${this.maxPerTenant} conversations`, 409);
+        }
+
+        const now = new Date().toISOString();
+        const conversation = applyFields({
+            id: input.id || `conv_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+            tenant: tenantId,
+            templateId: template ? template.id : null,
+            ...conversationFields(template ? template.conversation : {}),
+            createdAt: now,
+            updatedAt: now
+        }, input);
+
+        this.conversations.set(`${tenantId}/${conversation.id}`, conversation);
+        this.persist();
+        return conversation;
+    }
+
+    update(tenantId, id, input) {
+        const existing = this.get(tenantId, id);
+        if (!existing) return null;
+
+        const updated = applyFields(JSON.parse(JSON.stringify(existing)), input);
+        updated.updatedAt = new Date().toISOString();
+        this.conversations.set(`${tenantId}/${id}`, updated);
+        this.persist();
+        return updated;
+    }
+
+    delete(tenantId, id) {
+        if (!this.conversations.delete(`${tenantId}/${id}`)) return false;
+        this.persist();
+        return true;
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+}
+
+module.exports = { ConversationRegistry, toDuixConversation, conversationFields, SCRIPT_TYPES };
@@ -0,0 +1,143 @@
+// ✅ LATENCY EXPORT - CSV, JSON and HAR-like timeline renderings of stored turns
+const { LATENCY_STAGES, TURN_TIMESTAMPS } = require('./latency-store');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    timeline: { contentType: 'application/json; charset=utf-8', extension: 'har.json' }
+};
+
+// Blank for anything Date can't represent, so one bad record can't break an export
+const isDate = (ms) => Number.isFinite(new Date(ms).getTime());
+const toIso = (ms) => (isDate(ms) ? new Date(ms).toISOString() : '');
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Spreadsheet formula injection guard for free-text fields
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+    const header = [
+        'id', 'timestamp', 'sessionId', 'conversationId', 'region', 'language', 'input', 'userAgent',
+        ...LATENCY_STAGES.map(stage => `${stage}_ms`),
+        ...TURN_TIMESTAMPS,
+        'recognizedText', 'responseText'
+    ];
+
+    const rows = records.map(record => {
+        const timestamps = record.timestamps || {};
+        return [
+            record.id,
+            record.timestamp,
+            record.sessionId,
+            record.conversationId,
+            record.region,
+            record.language,
+            record.input || 'voice',
+            record.userAgent,
+            ...LATENCY_STAGES.map(stage => record.stages[stage]),
+            ...TURN_TIMESTAMPS.map(name => toIso(timestamps[name])),
+            record.recognizedText,
+            record.responseText
+        ].map(csvCell).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toJson(records, filters) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        filters,
+        count: records.length,
+        turns: records
+    }, null, 2);
+}
+
+// HAR 1.2 layout: one page per conversation, one entry per turn. Stage
+// durations go in "timings" and every milestone is listed in "_events".
+function toTimeline(records, filters) {
+    const pages = new Map();
+    const entries = records.map(record => {
+        const timestamps = record.timestamps || {};
+        const start = [timestamps.userSpeechStart, timestamps.questionSent, Date.parse(record.timestamp)]
+            .find(time => time && isDate(time)) || 0;
+        const pageId = record.conversationId || record.sessionId || 'unknown';
+        if (!pages.has(pageId)) {
+            pages.set(pageId, {
+                startedDateTime: toIso(start),
+                id: pageId,
+                title: `Conversation ${pageId}`,
+                pageTimings: {}
+            });
+        }
+
+        const span = (from, to) => (
+            Number.isFinite(timestamps[from]) && Number.isFinite(timestamps[to]) ? timestamps[to] - timestamps[from] : -1
+        );
+
+        return {
+            pageref: pageId,
+            startedDateTime: toIso(start),
+            time: record.stages.total !== undefined ? record.stages.total : -1,
+            request: {
+                method: record.input === 'text' ? 'TEXT' : 'SPEECH',
+                url: `avatar://conversation/${encodeURIComponent(pageId)}/turn/${record.id}`,
+                httpVersion: 'DUIX',
+                headers: [{ name: 'User-Agent', value: record.userAgent || '' }],
+                queryString: [],
+                cookies: [],
+                headersSize: -1,
+                bodySize: -1,
+                postData: { mimeType: 'text/plain', text: record.recognizedText || '' }
+            },
+            response: {
+                status: 200,
+                statusText: 'OK',
+                httpVersion: 'DUIX',
+                headers: [],
+                cookies: [],
+                content: { size: -1, mimeType: 'text/plain', text: record.responseText || '' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1
+            },
+            cache: {},
+            timings: {
+                asr: span('asrStart', 'asrEnd'),
+                ai: span(record.input === 'text' ? 'questionSent' : 'asrEnd', 'ttsStart'),
+                tts: span('ttsStart', 'ttsFirstAudio'),
+                render: span('ttsFirstAudio', 'avatarSpeakStart'),
+                speak: span('avatarSpeakStart', 'avatarSpeakEnd'),
+                network: record.stages.network !== undefined ? record.stages.network : -1
+            },
+            _region: record.region,
+            _language: record.language,
+            _input: record.input || 'voice',
+            _events: TURN_TIMESTAMPS
+                .filter(name => isDate(timestamps[name]))
+                .map(name => ({ name, time: toIso(timestamps[name]), offsetMs: timestamps[name] - start }))
+        };
+    });
+
+    return JSON.stringify({
+        log: {
+            version: '1.2',
+            creator: { name: 'duix-ai-avatar-latency-demo', version: '1.0.0' },
+            comment: `Latency export ${JSON.stringify(filters)}`,
+            pages: [...pages.values()],
+            entries
+        }
+    }, null, 2);
+}
+
+function renderExport(format, records, filters) {
+    if (format === 'csv') return toCsv(records);
+    if (format === 'timeline') return toTimeline(records, filters);
+    return toJson(records, filters);
+}
+
+module.exports = { renderExport, EXPORT_FORMATS };
@@ -0,0 +1,256 @@
+// ✅ ROLLING-WINDOW LATENCY AGGREGATION
+// Percentiles come from a log-bucketed sketch (DDSketch style): every value
+// lands in a bin whose width is a fixed fraction of its magnitude, so any
+// quantile is accurate to RELATIVE_ACCURACY and memory depends only on the
+// latency range, never on sample count.
+const { LATENCY_STAGES } = require('./latency-store');
+
+const RELATIVE_ACCURACY = 0.01;
+const GAMMA = (1 + RELATIVE_ACCURACY) / (1 - RELATIVE_ACCURACY);
+const LOG_GAMMA = Math.log(GAMMA);
+const BUCKETS_PER_WINDOW = 12;
+// Client clocks drift; samples further ahead of the server than this are dropped
+const MAX_FUTURE_SKEW_MS = 60000;
+const REPORTED_QUANTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+class LatencySketch {
+    constructor() {
+        this.bins = new Map();
+        this.zeroCount = 0;
+        this.count = 0;
+        this.sum = 0;
+        this.sumSquares = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    add(value) {
+        if (value <= 0) {
+            this.zeroCount++;
+        } else {
+            const key = Math.ceil(Math.log(value) / LOG_GAMMA);
+            this.bins.set(key, (this.bins.get(key) || 0) + 1);
+        }
+        this.count++;
+        this.sum += value;
+        this.sumSquares += value * value;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    merge(other) {
+        for (const [key, count] of other.bins) {
+            this.bins.set(key, (this.bins.get(key) || 0) + count);
+        }
+        this.zeroCount += other.zeroCount;
+        this.count += other.count;
+        this.sum += other.sum;
+        this.sumSquares += other.sumSquares;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    quantile(q) {
+        if (this.count === 0) return null;
+
+        // Nearest-rank definition: the value at 0-based rank ceil(q * n) - 1
+        const rank = Math.max(Math.ceil(q * this.count) - 1, 0);
+        if (rank < this.zeroCount) return 0;
+
+        let seen = this.zeroCount;
+        const keys = [...this.bins.keys()].sort((a, b) => a - b);
+        for (const key of keys) {
+            seen += this.bins.get(key);
+            if (seen > rank) {
+                // Midpoint of the bin, clamped to the exact observed range
+                const estimate = 2 * Math.pow(GAMMA, key) / (GAMMA + 1);
+                return Math.min(Math.max(estimate, this.min), this.max);
+            }
+        }
+        return this.max;
+    }
+
+    summary() {
+        if (this.count === 0) {
+            return { count: 0 };
+        }
+
+        const mean = this.sum / this.count;
+        const variance = Math.max(this.sumSquares / this.count - mean * mean, 0);
+        const result = {
+            count: this.count,
+            min: this.min,
+            max: this.max,
+            mean: Math.round(mean),
+            stddev: Math.round(Math.sqrt(variance))
+        };
+        for (const [name, q] of Object.entries(REPORTED_QUANTILES)) {
+            result[name] = Math.round(this.quantile(q));
+        }
+        return result;
+    }
+}
+
+// A window is split into BUCKETS_PER_WINDOW time buckets, each holding one
+// sketch per stage; expired buckets are dropped as time moves on, so a
+// window's edge is accurate to 1/BUCKETS_PER_WINDOW of its length.
+class RollingWindow {
+    constructor(durationMs, stages = LATENCY_STAGES) {
+        this.durationMs = durationMs;
+        this.stages = stages;
+        this.bucketMs = Math.max(Math.floor(durationMs / BUCKETS_PER_WINDOW), 1000);
+        this.buckets = new Map();
+    }
+
+    add(stages, time) {
+        const now = Date.now();
+        if (!Number.isFinite(time) || time <= now - this.durationMs || time > now + MAX_FUTURE_SKEW_MS) return;
+
+        // A slightly future-dated sample counts as now, so its bucket ages out on time
+        const bucketStart = Math.floor(Math.min(time, now) / this.bucketMs) * this.bucketMs;
+        let bucket = this.buckets.get(bucketStart);
+        if (!bucket) {
+            bucket = {};
+            this.buckets.set(bucketStart, bucket);
+        }
+
+        for (const [stage, value] of Object.entries(stages)) {
+            if (!bucket[stage]) bucket[stage] = new LatencySketch();
+            bucket[stage].add(value);
+        }
+
+        this.evict(now);
+    }
+
+    evict(now = Date.now()) {
+        const oldest = now - this.durationMs - this.bucketMs;
+        for (const bucketStart of this.buckets.keys()) {
+            if (bucketStart <= oldest) this.buckets.delete(bucketStart);
+        }
+    }
+
+    snapshot(stageFilter) {
+        const now = Date.now();
+        this.evict(now);
+
+        const merged = {};
+        for (const [bucketStart, bucket] of this.buckets) {
+            if (bucketStart + this.bucketMs <= now - this.durationMs) continue;
+            for (const [stage, sketch] of Object.entries(bucket)) {
+                if (stageFilter && stage !== stageFilter) continue;
+                if (!merged[stage]) merged[stage] = new LatencySketch();
+                merged[stage].merge(sketch);
+            }
+        }
+
+        const stages = {};
+        for (const stage of this.stages) {
+            if (stageFilter && stage !== stageFilter) continue;
+            stages[stage] = merged[stage] ? merged[stage].summary() : { count: 0 };
+        }
+        return stages;
+    }
+}
+
+// Parses "30s", "5m", "1h", "24h" style durations into milliseconds
+function parseDuration(text) {
+    const match = /^(\d+)\s*(s|m|h|d)$/.exec(String(text).trim());
+    if (!match) return null;
+    const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return parseInt(match[1]) * unitMs[match[2]];
+}
+
+class LatencyStats {
+    constructor({ windows = ['5m', '1h', '24h'], maxGroups = 500 } = {}) {
+        this.windows = {};
+        for (const name of windows) {
+            const durationMs = parseDuration(name);
+            if (!durationMs) {
+                throw new Error(`Invalid latency stats window "${name}" - use forms like 5m, 1h, 24h`);
+            }
+            this.windows[name] = durationMs;
+        }
+        this.maxGroups = maxGroups;
+        // Map insertion order doubles as LRU order for per-group eviction
+        this.groups = new Map();
+    }
+
+    groupKeys(record) {
+        const keys = ['all'];
+        if (record.conversationId) keys.push(`conversationId:${record.conversationId}`);
+        if (record.region) keys.push(`region:${record.region}`);
+        if (record.language) keys.push(`language:${record.language}`);
+        // Records from before typed questions existed were all spoken
+        keys.push(`input:${record.input || 'voice'}`);
+        return keys;
+    }
+
+    // Values of one dimension ("language", "input") that currently have
+    // their own stats group
+    groupValues(dimension) {
+        const prefix = `${dimension}:`;
+        return [...this.groups.keys()]
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length))
+            .sort();
+    }
+
+    getGroup(key, create) {
+        let group = this.groups.get(key);
+        if (group) {
+            if (create) {
+                this.groups.delete(key);
+                this.groups.set(key, group);
+            }
+            return group;
+        }
+        if (!create) return null;
+
+        group = {};
+        for (const [name, durationMs] of Object.entries(this.windows)) {
+            group[name] = new RollingWindow(durationMs);
+        }
+        this.groups.set(key, group);
+
+        if (this.groups.size > this.maxGroups) {
+            for (const oldestKey of this.groups.keys()) {
+                if (oldestKey === 'all') continue;
+                this.groups.delete(oldestKey);
+                break;
+            }
+        }
+        return group;
+    }
+
+    add(record) {
+        const time = Date.parse(record.timestamp) || Date.now();
+        for (const key of this.groupKeys(record)) {
+            const group = this.getGroup(key, true);
+            for (const window of Object.values(group)) {
+                window.add(record.stages, time);
+            }
+        }
+    }
+
+    snapshot({ window, conversationId, region, language, input, stage } = {}) {
+        let key = 'all';
+        if (conversationId) key = `conversationId:${conversationId}`;
+        else if (region) key = `region:${region}`;
+        else if (language) key = `language:${language}`;
+        else if (input) key = `input:${input}`;
+
+        const group = this.getGroup(key, false);
+        const windowNames = window ? [window] : Object.keys(this.windows);
+        const result = {};
+
+        for (const name of windowNames) {
+            result[name] = group
+                ? group[name].snapshot(stage)
+                : new RollingWindow(this.windows[name]).snapshot(stage);
+        }
+        return result;
+    }
+}
+
+module.exports = { LatencyStats, LatencySketch, RollingWindow, parseDuration };
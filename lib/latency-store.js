@@ -0,0 +1,220 @@
+// ✅ SERVER-SIDE LATENCY HISTORY STORE
+// Append-only JSONL file on local disk, with an in-memory index of the most
+// recent measurements for querying. Every line is one speech-to-speech turn,
+// tagged with the tenant that reported it.
+const fs = require('fs');
+const path = require('path');
+
+const LATENCY_STAGES = ['asr', 'ai', 'tts', 'network', 'total'];
+// How the user asked: spoken (through ASR) or typed into the chat box
+const INPUT_MODES = ['voice', 'text'];
+// Client-side milestones of one turn (epoch ms), in pipeline order. Typed
+// turns start at questionSent and have no speech or ASR milestones.
+const TURN_TIMESTAMPS = [
+    'userSpeechStart',
+    'asrStart',
+    'asrEnd',
+    'questionSent',
+    'ttsStart',
+    'ttsFirstAudio',
+    'avatarSpeakStart',
+    'avatarSpeakEnd'
+];
+const MAX_TEXT_LENGTH = 2000;
+// Milestones further than this from the turn's own timestamp are rejected
+const MAX_MILESTONE_SKEW_MS = 24 * 60 * 60 * 1000;
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+
+const clipText = (value) => (typeof value === 'string' && value ? value.slice(0, MAX_TEXT_LENGTH) : null);
+
+const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_MEASUREMENT';
+    error.status = 400;
+    return error;
+};
+
+// Epoch milliseconds, a numeric string or an ISO-8601 string; missing means now
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return Date.now();
+
+    const time = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    // Date only represents ±8.64e15 ms around the epoch
+    if (!Number.isFinite(time) || Math.abs(time) > 8.64e15) {
+        throw invalid('timestamp must be epoch milliseconds or an ISO-8601 date');
+    }
+    return time;
+}
+
+class LatencyStore {
+    constructor({ filePath, maxRecords = 10000, defaultTenant = null } = {}) {
+        this.filePath = filePath;
+        this.maxRecords = maxRecords;
+        // Turns stored before tenants existed belong to the default tenant
+        this.defaultTenant = defaultTenant;
+        this.records = [];
+        this.listeners = new Set();
+        this.writeQueue = Promise.resolve();
+        this.sequence = 0;
+
+        this.load();
+    }
+
+    // Replay the JSONL file so history survives restarts
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            if (!fs.existsSync(this.filePath)) return;
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    // Re-validated so records stored before a check existed can't break queries
+                    const record = JSON.parse(line);
+                    this.remember({ id: record.id, ...LatencyStore.validate(record, { tenant: record.tenant || this.defaultTenant }) });
+                } catch (e) {
+                    // Skip torn writes from a crash mid-append, and invalid records
+                }
+            }
+            console.log(`📚 Latency history loaded: ${this.records.length} measurements from ${this.filePath}`);
+        } catch (error) {
+            console.warn(`⚠️  Latency history unavailable (${error.code || error.message}) - keeping measurements in memory only`);
+            this.filePath = null;
+        }
+    }
+
+    remember(record) {
+        this.records.push(record);
+        if (this.records.length > this.maxRecords) {
+            this.records.splice(0, this.records.length - this.maxRecords);
+        }
+    }
+
+    // Normalize a client-reported turn into a stored record; throws an
+    // INVALID_MEASUREMENT error (status 400) for data it can't store
+    static normalize(measurement, context = {}) {
+        const stages = {};
+        const source = measurement.stages || measurement;
+
+        for (const stage of LATENCY_STAGES) {
+            const value = Number(source[stage]);
+            if (Number.isFinite(value) && value >= 0) {
+                stages[stage] = Math.round(value);
+            }
+        }
+
+        const time = parseTimestamp(measurement.timestamp);
+        const timestamps = {};
+        for (const name of TURN_TIMESTAMPS) {
+            const value = Number(measurement.timestamps && measurement.timestamps[name]);
+            if (!Number.isFinite(value) || value <= 0) continue;
+            if (Math.abs(value - time) > MAX_MILESTONE_SKEW_MS) {
+                throw invalid(`timestamps.${name} must be epoch milliseconds within a day of the measurement`);
+            }
+            timestamps[name] = value;
+        }
+
+        return {
+            tenant: context.tenant || null,
+            timestamp: new Date(time).toISOString(),
+            sessionId: clipText(measurement.sessionId),
+            conversationId: clipText(measurement.conversationId),
+            region: clipText(measurement.region) || context.region || 'local',
+            // ASR timing differs by language, so turns keep the one they ran in
+            language: LANGUAGE_TAG_PATTERN.test(measurement.language) ? measurement.language : null,
+            input: INPUT_MODES.includes(measurement.input) ? measurement.input : 'voice',
+            userAgent: clipText(measurement.userAgent) || clipText(context.userAgent),
+            stages,
+            timestamps,
+            recognizedText: clipText(measurement.recognizedText),
+            responseText: clipText(measurement.responseText)
+        };
+    }
+
+    static validate(measurement, context = {}) {
+        if (!measurement || typeof measurement !== 'object') {
+            throw invalid('Each measurement must be an object');
+        }
+        const normalized = LatencyStore.normalize(measurement, context);
+        if (Object.keys(normalized.stages).length === 0) {
+            throw invalid('Measurement must include at least one latency stage');
+        }
+        return normalized;
+    }
+
+    add(measurement, context = {}) {
+        return this.addAll([measurement], context)[0];
+    }
+
+    // All or nothing: every measurement is validated before any is stored
+    addAll(measurements, context = {}) {
+        const normalized = measurements.map((measurement, index) => {
+            try {
+                return LatencyStore.validate(measurement, context);
+            } catch (error) {
+                if (measurements.length > 1) error.message = `measurements[${index}]: ${error.message}`;
+                throw error;
+            }
+        });
+        return normalized.map(fields => this.store({
+            id: `lat_${Date.now().toString(36)}_${(this.sequence++).toString(36)}`,
+            ...fields
+        }));
+    }
+
+    store(record) {
+        this.remember(record);
+
+        if (this.filePath) {
+            const line = JSON.stringify(record) + '\n';
+            this.writeQueue = this.writeQueue
+                .then(() => fs.promises.appendFile(this.filePath, line))
+                .catch(error => {
+                    console.error(`❌ Failed to persist latency measurement: ${error.code || error.message}`);
+                });
+        }
+
+        for (const listener of this.listeners) {
+            listener(record);
+        }
+
+        return record;
+    }
+
+    onRecord(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    query({ tenant, sessionId, conversationId, language, input, stage, from, to, limit = 500 } = {}) {
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+
+        const results = [];
+        for (let i = this.records.length - 1; i >= 0 && results.length < limit; i--) {
+            const record = this.records[i];
+            const time = Date.parse(record.timestamp);
+
+            if (time < fromTime || time > toTime) continue;
+            if (tenant && record.tenant !== tenant) continue;
+            if (sessionId && record.sessionId !== sessionId) continue;
+            if (conversationId && record.conversationId !== conversationId) continue;
+            if (language && record.language !== language) continue;
+            if (input && (record.input || 'voice') !== input) continue;
+            if (stage && record.stages[stage] === undefined) continue;
+
+            results.push(record);
+        }
+
+        return results.reverse();
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+}
+
+module.exports = { LatencyStore, LATENCY_STAGES, TURN_TIMESTAMPS, INPUT_MODES };
@@ -0,0 +1,163 @@
+// ✅ PROMETHEUS METRICS REGISTRY
+// Minimal counter/gauge/histogram implementation rendered in the Prometheus
+// text exposition format (version 0.0.4), so /metrics needs no extra package.
+
+const LATENCY_BUCKETS_SECONDS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13, 20];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    for (const name of labelNames) {
+        picked[name] = labels[name] === undefined ? '' : labels[name];
+    }
+    return picked;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const entry = this.series.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+        entry.value += amount;
+        this.series.set(key, entry);
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        this.series.set(key, { labels: pickLabels(this.labelNames, labels), value });
+    }
+
+    render() {
+        if (this.collect) this.collect(this);
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = LATENCY_BUCKETS_SECONDS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+
+        const key = labelKey(this.labelNames, labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = {
+                labels: pickLabels(this.labelNames, labels),
+                counts: new Array(this.buckets.length).fill(0),
+                sum: 0,
+                count: 0
+            };
+            this.series.set(key, entry);
+        }
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) entry.counts[i]++;
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, LATENCY_BUCKETS_SECONDS };
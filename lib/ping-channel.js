@@ -0,0 +1,250 @@
+// ✅ WEBSOCKET PING CHANNEL - Low-overhead network latency and session presence
+// The page keeps one WebSocket open on /api/ping. The server sends an
+// application-level ping every intervalMs and the page echoes it, so the
+// round trip skips HTTP parsing and middleware entirely. Messages are JSON:
+//   page   -> server  { type: "hello", sessionId?, conversationId?, intervalMs? }
+//   server -> page    { type: "ping", seq }
+//   page   -> server  { type: "pong", seq }
+//   server -> page    { type: "stats", seq, rtt, jitter, sent, received, lost, lossRate, intervalMs }
+// A ping unanswered after timeoutMs counts as lost; maxMissed losses in a
+// row close the connection. A session is present while its socket is open.
+// Each socket belongs to the tenant resolved when it connected.
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { RollingWindow, parseDuration } = require('./latency-stats');
+
+const PING_STAGES = ['rtt', 'jitter'];
+const MIN_INTERVAL_MS = 1000;
+const MAX_INTERVAL_MS = 60000;
+const MAX_MESSAGE_BYTES = 1024;
+const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+class PingChannel {
+    constructor({
+        WebSocketServer,
+        path = '/api/ping',
+        intervalMs = 5000,
+        timeoutMs = 2000,
+        maxMissed = 3,
+        maxClients = 500,
+        windows = ['5m', '1h'],
+        verifyOrigin = () => true,
+        resolveTenant = () => ({ tenantId: null }),
+        onSample = () => {}
+    }) {
+        this.path = path;
+        this.intervalMs = Math.min(Math.max(intervalMs, MIN_INTERVAL_MS), MAX_INTERVAL_MS);
+        this.timeoutMs = timeoutMs;
+        this.maxMissed = maxMissed;
+        this.maxClients = maxClients;
+        this.verifyOrigin = verifyOrigin;
+        this.resolveTenant = resolveTenant;
+        this.onSample = onSample;
+
+        this.sessions = new Map(); // connectionId -> session
+        this.windows = {};
+        for (const name of windows) {
+            this.windows[name] = new RollingWindow(parseDuration(name), PING_STAGES);
+        }
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    }
+
+    // Handles every upgrade request on an http(s) server: Node leaves
+    // unanswered upgrades hanging once anyone listens for them
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            // A client that resets mid-handshake must not take the process down
+            socket.on('error', () => socket.destroy());
+            const reject = (status) => {
+                socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+            };
+
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                return reject(400);
+            }
+            if (url.pathname !== this.path) return reject(404);
+            if (!this.verifyOrigin(req.headers.origin, req.headers.host)) return reject(403);
+            if (this.sessions.size >= this.maxClients) return reject(503);
+
+            const { tenantId, status } = this.resolveTenant(req, url);
+            if (status) return reject(status);
+
+            this.wss.handleUpgrade(req, socket, head, ws => this.connect(ws, tenantId));
+        });
+    }
+
+    connect(ws, tenantId = null) {
+        const now = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            ws,
+            tenantId,
+            sessionId: null,
+            conversationId: null,
+            connectedAt: now,
+            lastSeenAt: now,
+            intervalMs: this.intervalMs,
+            seq: 0,
+            pending: new Map(), // seq -> { sentAt, timer }
+            sent: 0,
+            received: 0,
+            lost: 0,
+            missedInARow: 0,
+            rtt: null,
+            jitter: null,
+            timer: null
+        };
+        this.sessions.set(session.id, session);
+
+        ws.on('message', data => this.receive(session, data));
+        ws.on('close', () => this.disconnect(session));
+        ws.on('error', () => ws.terminate());
+
+        this.schedule(session);
+    }
+
+    schedule(session) {
+        clearInterval(session.timer);
+        session.timer = setInterval(() => this.ping(session), session.intervalMs);
+        this.ping(session);
+    }
+
+    ping(session) {
+        const seq = ++session.seq;
+        const timer = setTimeout(() => this.expire(session, seq), this.timeoutMs);
+        session.pending.set(seq, { sentAt: process.hrtime.bigint(), timer });
+        session.sent++;
+        this.send(session, { type: 'ping', seq });
+    }
+
+    expire(session, seq) {
+        if (!session.pending.delete(seq)) return;
+        session.lost++;
+        session.missedInARow++;
+        this.onSample({ session, lost: true });
+
+        if (session.missedInARow >= this.maxMissed) {
+            console.warn(`🏓 Ping channel: ${session.sessionId || session.id} missed ${session.missedInARow} pings - closing`);
+            session.ws.terminate();
+        }
+    }
+
+    receive(session, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+        session.lastSeenAt = Date.now();
+
+        if (message.type === 'pong') {
+            this.pong(session, message.seq);
+        } else if (message.type === 'hello') {
+            this.hello(session, message);
+        }
+    }
+
+    // Identifies the session for presence and stats; may be sent again when
+    // the page starts a new conversation
+    hello(session, { sessionId, conversationId, intervalMs }) {
+        if (typeof sessionId === 'string' && ID_PATTERN.test(sessionId)) session.sessionId = sessionId;
+        if (typeof conversationId === 'string' && ID_PATTERN.test(conversationId)) session.conversationId = conversationId;
+
+        if (Number.isInteger(intervalMs)) {
+            const clamped = Math.min(Math.max(intervalMs, MIN_INTERVAL_MS), MAX_INTERVAL_MS);
+            if (clamped !== session.intervalMs) {
+                session.intervalMs = clamped;
+                this.schedule(session);
+            }
+        }
+    }
+
+    pong(session, seq) {
+        const pending = session.pending.get(seq);
+        if (!pending) return; // unknown, or already counted as lost
+
+        clearTimeout(pending.timer);
+        session.pending.delete(seq);
+        const rtt = Math.round(Number(process.hrtime.bigint() - pending.sentAt) / 1e5) / 10;
+
+        // RFC 3550 interarrival jitter, applied to successive round trips
+        const delta = session.rtt === null ? 0 : Math.abs(rtt - session.rtt);
+        session.jitter = session.jitter === null ? 0 : session.jitter + (delta - session.jitter) / 16;
+        session.rtt = rtt;
+        session.received++;
+        session.missedInARow = 0;
+
+        const now = Date.now();
+        for (const window of Object.values(this.windows)) {
+            window.add({ rtt, jitter: Math.round(delta * 10) / 10 }, now);
+        }
+        this.onSample({ session, rtt });
+
+        this.send(session, { type: 'stats', seq, ...this.describe(session) });
+    }
+
+    send(session, message) {
+        if (session.ws.readyState === session.ws.OPEN) {
+            session.ws.send(JSON.stringify(message));
+        }
+    }
+
+    disconnect(session) {
+        clearInterval(session.timer);
+        for (const { timer } of session.pending.values()) clearTimeout(timer);
+        session.pending.clear();
+        this.sessions.delete(session.id);
+    }
+
+    describe(session) {
+        const answered = session.received + session.lost;
+        return {
+            rtt: session.rtt,
+            jitter: session.jitter === null ? null : Math.round(session.jitter * 10) / 10,
+            sent: session.sent,
+            received: session.received,
+            lost: session.lost,
+            lossRate: answered ? Math.round(session.lost / answered * 10000) / 10000 : 0,
+            intervalMs: session.intervalMs
+        };
+    }
+
+    // Connected sessions of one tenant, newest first
+    presence({ tenantId, conversationId } = {}) {
+        return [...this.sessions.values()]
+            .filter(session => session.tenantId === tenantId)
+            .filter(session => !conversationId || session.conversationId === conversationId)
+            .sort((a, b) => b.connectedAt - a.connectedAt)
+            .map(session => ({
+                sessionId: session.sessionId,
+                conversationId: session.conversationId,
+                connectedAt: new Date(session.connectedAt).toISOString(),
+                lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+                ...this.describe(session)
+            }));
+    }
+
+    snapshot({ window } = {}) {
+        const windowNames = window ? [window] : Object.keys(this.windows);
+        const result = {};
+        for (const name of windowNames) {
+            result[name] = this.windows[name].snapshot();
+        }
+        return result;
+    }
+
+    // Closes every socket with "going away" so pages reconnect to another instance
+    close() {
+        for (const session of this.sessions.values()) {
+            session.ws.close(1001, 'Server shutting down');
+        }
+        this.wss.close();
+    }
+}
+
+module.exports = { PingChannel };
@@ -0,0 +1,86 @@
+// ✅ DUIX AVATAR PROVIDER - Upstream calls to api.duix.com
+// Every method resolves with the raw { status, data } of the upstream response
+// and rejects only on transport errors (timeouts, resets, DNS), matching how
+// the routes already treat axios with validateStatus < 500.
+const axios = require('axios');
+
+// DUIX API endpoints from official documentation
+const DUIX_ENDPOINTS = {
+    GET_CONCURRENT_NUMBER: '/duix-openapi-v2/sdk/v2/getconcurrentNumber',
+    GET_CONCURRENT_LIST: '/duix-openapi-v2/sdk/v2/getconcurrentList',
+    GET_CONVERSATION_DETAILS: '/duix-openapi-v2/sdk/getConversationById',
+    SESSION_STOP: '/duix-openapi-v2/sdk/v2/sessionStop',
+    CLOSE_ALL_SESSIONS: '/duix-openapi-v2/sdk/v2/distroyCallSessionsByAppId'
+};
+
+class DuixProvider {
+    constructor({ apiUrl, createAgent, onRequest = () => {}, defaultTimeout = 15000 }) {
+        this.name = 'duix';
+        this.apiUrl = apiUrl;
+        this.createAgent = createAgent;
+        this.onRequest = onRequest;
+        this.defaultTimeout = defaultTimeout;
+    }
+
+    async request(endpointName, params, { token, timeout, userAgent, headers = {} }) {
+        const startTime = Date.now();
+        const customAgent = this.createAgent('duix_api');
+
+        try {
+            const response = await axios({
+                method: 'GET',
+                url: `${this.apiUrl}${DUIX_ENDPOINTS[endpointName]}`,
+                params,
+                headers: {
+                    'Token': token,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'User-Agent': userAgent || `DUIX-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`,
+                    ...headers
+                },
+                httpsAgent: customAgent,
+                timeout: timeout || this.defaultTimeout,
+                validateStatus: (status) => status < 500
+            });
+
+            this.onRequest({ endpoint: endpointName, status: response.status, durationMs: Date.now() - startTime });
+            return { status: response.status, data: response.data };
+        } catch (error) {
+            this.onRequest({ endpoint: endpointName, error, durationMs: Date.now() - startTime });
+            throw error;
+        } finally {
+            customAgent.destroy();
+        }
+    }
+
+    getConcurrentNumber({ appId, ...options }) {
+        return this.request('GET_CONCURRENT_NUMBER', { appId }, options);
+    }
+
+    listSessions({ appId, ...options }) {
+        return this.request('GET_CONCURRENT_LIST', { appId }, options);
+    }
+
+    stopSession({ uuid, ...options }) {
+        return this.request('SESSION_STOP', { uuid }, options);
+    }
+
+    getConversation({ conversationId, ...options }) {
+        return this.request('GET_CONVERSATION_DETAILS', { conversationId }, options);
+    }
+
+    closeAllSessions({ appId, ...options }) {
+        return this.request('CLOSE_ALL_SESSIONS', { appId }, options);
+    }
+
+    // The SDK opens DUIX sessions and conversations live in the DUIX console
+    async registerSession() {
+        return null;
+    }
+
+    async registerConversation() {
+        return null;
+    }
+}
+
+module.exports = { DuixProvider, DUIX_ENDPOINTS };
@@ -0,0 +1,232 @@
+// ✅ FAULT INJECTION - Degrade any avatar provider on demand
+// Wraps a provider and, per upstream endpoint, adds latency drawn from a
+// distribution and/or replaces the call with a fault, so the circuit breaker,
+// retries and hybrid fallbacks can be demoed and regression-tested.
+//
+// Config shape (endpoint keys are DUIX_ENDPOINTS names, '*' applies to all):
+// {
+//   "enabled": true,
+//   "seed": 42,
+//   "endpoints": {
+//     "*": { "latency": { "distribution": "uniform", "minMs": 100, "maxMs": 400 } },
+//     "GET_CONCURRENT_NUMBER": {
+//       "faults": [
+//         { "type": "timeout", "probability": 0.1 },
+//         { "type": "reset", "probability": 0.05 },
+//         { "type": "status", "status": 503, "probability": 0.1 },
+//         { "type": "malformed", "probability": 0.05 }
+//       ]
+//     }
+//   }
+// }
+const { DUIX_ENDPOINTS } = require('./duix-provider');
+
+const METHOD_ENDPOINTS = {
+    getConcurrentNumber: 'GET_CONCURRENT_NUMBER',
+    listSessions: 'GET_CONCURRENT_LIST',
+    stopSession: 'SESSION_STOP',
+    getConversation: 'GET_CONVERSATION_DETAILS',
+    closeAllSessions: 'CLOSE_ALL_SESSIONS'
+};
+const FAULT_TYPES = ['timeout', 'reset', 'status', 'malformed'];
+const DISTRIBUTION_FIELDS = {
+    fixed: ['ms'],
+    uniform: ['minMs', 'maxMs'],
+    normal: ['meanMs', 'stddevMs'],
+    exponential: ['meanMs']
+};
+// Injected delays never exceed this, whatever the config or distribution tail
+const MAX_INJECTED_LATENCY_MS = 60000;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Small seedable PRNG (mulberry32) so injected faults are reproducible
+function createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+    let state = Number(seed) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Fault injection config must be an object');
+    }
+
+    const endpoints = config.endpoints || {};
+    for (const [endpoint, rule] of Object.entries(endpoints)) {
+        if (endpoint !== '*' && !hasOwn(DUIX_ENDPOINTS, endpoint)) {
+            throw new Error(`Unknown endpoint "${endpoint}" - expected '*' or one of ${Object.keys(DUIX_ENDPOINTS).join(', ')}`);
+        }
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`${endpoint}: rule must be an object with latency and/or faults`);
+        }
+
+        if (rule.latency) {
+            const fields = hasOwn(DISTRIBUTION_FIELDS, rule.latency.distribution) ? DISTRIBUTION_FIELDS[rule.latency.distribution] : null;
+            if (!fields) {
+                throw new Error(`${endpoint}: latency distribution must be one of ${Object.keys(DISTRIBUTION_FIELDS).join(', ')}`);
+            }
+            for (const field of fields) {
+                const value = rule.latency[field];
+                if (typeof value !== 'number' || !(value >= 0 && value <= MAX_INJECTED_LATENCY_MS)) {
+                    throw new Error(`${endpoint}: ${rule.latency.distribution} latency needs a ${field} between 0 and ${MAX_INJECTED_LATENCY_MS}`);
+                }
+            }
+            if (rule.latency.distribution === 'uniform' && rule.latency.minMs > rule.latency.maxMs) {
+                throw new Error(`${endpoint}: uniform latency needs minMs <= maxMs`);
+            }
+        }
+
+        let totalProbability = 0;
+        for (const fault of rule.faults || []) {
+            if (!FAULT_TYPES.includes(fault.type)) {
+                throw new Error(`${endpoint}: fault type must be one of ${FAULT_TYPES.join(', ')}`);
+            }
+            if (!(fault.probability >= 0 && fault.probability <= 1)) {
+                throw new Error(`${endpoint}: fault probability must be between 0 and 1`);
+            }
+            if (fault.type === 'status' && !(fault.status >= 400 && fault.status <= 599)) {
+                throw new Error(`${endpoint}: status faults need a 4xx or 5xx status`);
+            }
+            totalProbability += fault.probability;
+        }
+        if (totalProbability > 1) {
+            throw new Error(`${endpoint}: fault probabilities add up to more than 1`);
+        }
+    }
+
+    return {
+        enabled: config.enabled !== false,
+        seed: config.seed,
+        endpoints
+    };
+}
+
+class FaultInjectingProvider {
+    constructor(provider, { onInject = () => {}, onRequest = () => {} } = {}) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.onInject = onInject;
+        // Injected faults never reach the provider, so they are reported here
+        this.onRequest = onRequest;
+        this.configure(null);
+
+        for (const [method, endpoint] of Object.entries(METHOD_ENDPOINTS)) {
+            this[method] = (options) => this.invoke(method, endpoint, options);
+        }
+    }
+
+    // Lifecycle notices are not upstream calls, so no faults apply
+    registerSession(options) {
+        return this.provider.registerSession(options);
+    }
+
+    registerConversation(options) {
+        return this.provider.registerConversation(options);
+    }
+
+    configure(config) {
+        this.config = config ? validateConfig(config) : { enabled: false, endpoints: {} };
+        this.random = createRandom(this.config.seed);
+        return this.config;
+    }
+
+    sampleLatency(latency) {
+        const { distribution } = latency;
+        let value = 0;
+        if (distribution === 'fixed') {
+            value = latency.ms;
+        } else if (distribution === 'uniform') {
+            value = latency.minMs + this.random() * (latency.maxMs - latency.minMs);
+        } else if (distribution === 'normal') {
+            // Box-Muller transform
+            const u = 1 - this.random();
+            const v = this.random();
+            value = latency.meanMs + latency.stddevMs * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        } else if (distribution === 'exponential') {
+            value = -latency.meanMs * Math.log(1 - this.random());
+        }
+        return Math.min(Math.max(Math.round(value) || 0, 0), MAX_INJECTED_LATENCY_MS);
+    }
+
+    pickFault(faults = []) {
+        const roll = this.random();
+        let cumulative = 0;
+        for (const fault of faults) {
+            cumulative += fault.probability;
+            if (roll < cumulative) return fault;
+        }
+        return null;
+    }
+
+    async invoke(method, endpoint, options = {}) {
+        if (!this.config.enabled) {
+            return this.provider[method](options);
+        }
+
+        const startTime = Date.now();
+        const rules = [this.config.endpoints['*'], this.config.endpoints[endpoint]].filter(Boolean);
+        const latency = rules.reduce((found, rule) => rule.latency || found, null);
+        const faults = rules.reduce((all, rule) => all.concat(rule.faults || []), []);
+
+        if (latency) {
+            const delayMs = this.sampleLatency(latency);
+            this.onInject({ endpoint, type: 'latency', delayMs });
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        const fault = this.pickFault(faults);
+        if (!fault) {
+            return this.provider[method](options);
+        }
+
+        this.onInject({ endpoint, type: fault.type });
+        try {
+            const response = await this.injectFault(fault, options);
+            this.onRequest({ endpoint, status: response.status, durationMs: Date.now() - startTime });
+            return response;
+        } catch (error) {
+            this.onRequest({ endpoint, error, durationMs: Date.now() - startTime });
+            throw error;
+        }
+    }
+
+    async injectFault(fault, options) {
+        if (fault.type === 'timeout') {
+            const timeoutMs = options.timeout || 15000;
+            await new Promise(resolve => setTimeout(resolve, timeoutMs));
+            const error = new Error(`timeout of ${timeoutMs}ms exceeded (injected)`);
+            error.code = 'ECONNABORTED';
+            throw error;
+        }
+
+        if (fault.type === 'reset') {
+            const error = new Error('socket hang up (injected)');
+            error.code = 'ECONNRESET';
+            throw error;
+        }
+
+        if (fault.type === 'status') {
+            const data = { code: String(fault.status), success: false, message: 'Injected upstream fault', data: null };
+            if (fault.status >= 500) {
+                // Mirrors axios rejecting with validateStatus: status < 500
+                const error = new Error(`Request failed with status code ${fault.status} (injected)`);
+                error.code = 'ERR_BAD_RESPONSE';
+                error.response = { status: fault.status, data };
+                throw error;
+            }
+            return { status: fault.status, data };
+        }
+
+        // malformed: a 200 whose body is not the JSON the caller expects
+        return { status: 200, data: '{"code":"0000","success":tru' };
+    }
+}
+
+module.exports = { FaultInjectingProvider, validateConfig, METHOD_ENDPOINTS };
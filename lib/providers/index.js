@@ -0,0 +1,34 @@
+// ✅ AVATAR BACKEND PROVIDERS
+// Provider interface (all methods async, resolving with { status, data }):
+//   getConcurrentNumber({ appId, token, ... })
+//   listSessions({ appId, token, ... })
+//   stopSession({ uuid, token, ... })
+//   getConversation({ conversationId, token, ... })
+//   closeAllSessions({ appId, token, ... })
+// Per-call options: timeout, userAgent and extra headers.
+// Lifecycle notices, resolving with the provider's record or null:
+//   registerSession({ appId, conversationId }) - a slot's first sign was issued
+//   registerConversation({ conversation }) - a conversation was created here
+// DUIX opens sessions when the browser SDK starts, so it ignores both; the
+// mock records them so session listing and stopping can be exercised.
+const { DuixProvider, DUIX_ENDPOINTS } = require('./duix-provider');
+const { MockProvider } = require('./mock-provider');
+const { FaultInjectingProvider } = require('./fault-injecting-provider');
+
+const PROVIDERS = {
+    duix: (options) => new DuixProvider(options),
+    mock: (options) => new MockProvider({
+        latencyMs: parseInt(process.env.MOCK_PROVIDER_LATENCY_MS) || 0,
+        onRequest: options.onRequest
+    })
+};
+
+function createAvatarProvider(name, options) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown avatar provider "${name}" - expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createAvatarProvider, DuixProvider, MockProvider, FaultInjectingProvider, DUIX_ENDPOINTS };
@@ -0,0 +1,100 @@
+// ✅ MOCK AVATAR PROVIDER - Fully local, deterministic stand-in for DUIX
+// Same interface and { status, data } responses as DuixProvider, backed by
+// in-memory session and conversation tables. Used by CI and offline laptops.
+
+const MAX_CONCURRENT = 5;
+
+function ok(data) {
+    return { status: 200, data: { code: '0000', success: true, message: 'SUCCESS', data } };
+}
+
+function notFound(message) {
+    return { status: 200, data: { code: '4004', success: false, message, data: null } };
+}
+
+class MockProvider {
+    constructor({ latencyMs = 0, maxConcurrent = MAX_CONCURRENT, onRequest = () => {} } = {}) {
+        this.name = 'mock';
+        this.latencyMs = latencyMs;
+        this.maxConcurrent = maxConcurrent;
+        this.onRequest = onRequest;
+        this.sessions = new Map();
+        this.conversations = new Map();
+        this.sessionSequence = 0;
+    }
+
+    async respond(endpointName, produce) {
+        const startTime = Date.now();
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+        const response = produce();
+        this.onRequest({ endpoint: endpointName, status: response.status, durationMs: Date.now() - startTime });
+        return response;
+    }
+
+    // Test helpers - seed state the real service would hold
+    addSession(session) {
+        this.sessions.set(session.uuid, { createTime: new Date().toISOString(), ...session });
+    }
+
+    addConversation(conversation) {
+        this.conversations.set(String(conversation.id), conversation);
+    }
+
+    // Stands in for the browser SDK starting a session with a vended sign.
+    // Uuids are sequential so tests can predict them.
+    async registerSession({ appId, conversationId }) {
+        if (this.sessions.size >= this.maxConcurrent) return null;
+        const session = { uuid: `mock-session-${++this.sessionSequence}`, appId, conversationId };
+        this.addSession(session);
+        return this.sessions.get(session.uuid);
+    }
+
+    async registerConversation({ conversation }) {
+        this.addConversation(conversation);
+        return conversation;
+    }
+
+    getConcurrentNumber({ appId }) {
+        return this.respond('GET_CONCURRENT_NUMBER', () => ok({
+            appId,
+            concurrentNumber: this.sessions.size,
+            maxConcurrentNumber: this.maxConcurrent
+        }));
+    }
+
+    listSessions({ appId }) {
+        return this.respond('GET_CONCURRENT_LIST', () => ok(
+            [...this.sessions.values()].filter(session => !appId || !session.appId || session.appId === appId)
+        ));
+    }
+
+    stopSession({ uuid }) {
+        return this.respond('SESSION_STOP', () => (
+            this.sessions.delete(uuid) ? ok({ uuid, stopped: true }) : notFound(`Session ${uuid} not found`)
+        ));
+    }
+
+    getConversation({ conversationId }) {
+        return this.respond('GET_CONVERSATION_DETAILS', () => {
+            const conversation = this.conversations.get(String(conversationId));
+            return conversation ? ok(conversation) : notFound(`Conversation ${conversationId} not found`);
+        });
+    }
+
+    closeAllSessions({ appId }) {
+        return this.respond('CLOSE_ALL_SESSIONS', () => {
+            let closed = 0;
+            for (const [uuid, session] of this.sessions) {
+                if (!appId || !session.appId || session.appId === appId) {
+                    this.sessions.delete(uuid);
+                    closed++;
+                }
+            }
+            return ok({ appId, closed });
+        });
+    }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,271 @@
+// ✅ SESSION SLOTS - Ration DUIX concurrency per tenant with a FIFO queue
+// A slot is reserved before a sign is issued and held while the page keeps
+// refreshing its sign. Lifecycle:
+//   reserved  - granted, waiting for the first sign (claimTimeoutMs)
+//   active    - sign issued; the lease is extended by every sign refresh and
+//               the page must heartbeat at least every idleTimeoutMs
+//   released  - stopped by the page, idle, expired, or freed by an operator
+// When every slot is taken, callers get a queue ticket. Tickets hear their
+// position through subscribe() and are granted slots in arrival order;
+// tickets nobody listens to for abandonTimeoutMs are dropped.
+// Every reservation gets its own slot, owned by the caller (tenant + userId)
+// that made it: two pages on the same conversation never share one.
+const crypto = require('crypto');
+
+const SWEEP_INTERVAL_MS = 5000;
+
+class SessionSlotManager {
+    constructor({
+        capacityFor = () => 2,
+        maxQueueLength = 50,
+        claimTimeoutMs = 60000,
+        abandonTimeoutMs = 30000,
+        idleTimeoutMs = 90000,
+        onRelease = () => {}
+    } = {}) {
+        this.capacityFor = capacityFor;
+        this.maxQueueLength = maxQueueLength;
+        this.claimTimeoutMs = claimTimeoutMs;
+        this.abandonTimeoutMs = abandonTimeoutMs;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.onRelease = onRelease;
+
+        this.slots = new Map();    // slotId -> slot
+        this.queues = new Map();   // tenantId -> [ticket]
+        this.tickets = new Map();  // ticketId -> ticket
+        this.releaseCounts = {};   // reason -> slots released since start
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    slotsFor(tenantId) {
+        return [...this.slots.values()].filter(slot => slot.tenantId === tenantId);
+    }
+
+    queueFor(tenantId) {
+        if (!this.queues.has(tenantId)) this.queues.set(tenantId, []);
+        return this.queues.get(tenantId);
+    }
+
+    hasFreeSlot(tenantId) {
+        return this.slotsFor(tenantId).length < this.capacityFor(tenantId);
+    }
+
+    grant(tenantId, { conversationId, userId }, now = Date.now()) {
+        const slot = {
+            id: crypto.randomUUID(),
+            tenantId,
+            conversationId,
+            userId,
+            state: 'reserved',
+            sessionUuid: null,
+            grantedAt: now,
+            lastHeartbeatAt: now,
+            leaseExpiresAt: now + this.claimTimeoutMs
+        };
+        this.slots.set(slot.id, slot);
+        return slot;
+    }
+
+    // Returns { slot } when a slot is free and nobody is waiting, else { ticket }.
+    // With queue: false a busy tenant returns {} instead of queueing.
+    acquire(tenantId, { conversationId, userId }, { queue = true } = {}) {
+        const waiting = this.queueFor(tenantId);
+        if (waiting.length === 0 && this.hasFreeSlot(tenantId)) {
+            return { slot: this.grant(tenantId, { conversationId, userId }) };
+        }
+        if (!queue) return {};
+
+        if (waiting.length >= this.maxQueueLength) {
+            const error = new Error('Session queue is full');
+            error.code = 'QUEUE_FULL';
+            throw error;
+        }
+
+        const ticket = {
+            id: crypto.randomUUID(),
+            tenantId,
+            conversationId,
+            userId,
+            enqueuedAt: Date.now(),
+            lastSeenAt: Date.now(),
+            listeners: new Set(),
+            slotId: null
+        };
+        waiting.push(ticket);
+        this.tickets.set(ticket.id, ticket);
+        return { ticket, position: waiting.length };
+    }
+
+    position(ticket) {
+        return this.queueFor(ticket.tenantId).indexOf(ticket) + 1;
+    }
+
+    // listener(event, data) gets 'position', 'granted' and 'expired' events;
+    // returns an unsubscribe function
+    subscribe(ticketId, listener) {
+        const ticket = this.tickets.get(ticketId);
+        if (!ticket) return null;
+
+        ticket.listeners.add(listener);
+        ticket.lastSeenAt = Date.now();
+        if (ticket.slotId) {
+            listener('granted', this.grantedEvent(ticket));
+        } else {
+            listener('position', this.positionEvent(ticket));
+        }
+
+        return () => {
+            ticket.listeners.delete(listener);
+            ticket.lastSeenAt = Date.now();
+        };
+    }
+
+    positionEvent(ticket) {
+        return { ticketId: ticket.id, position: this.position(ticket), queueLength: this.queueFor(ticket.tenantId).length };
+    }
+
+    grantedEvent(ticket) {
+        const slot = this.slots.get(ticket.slotId);
+        return { ticketId: ticket.id, slotId: ticket.slotId, claimBy: slot ? new Date(slot.leaseExpiresAt).toISOString() : null };
+    }
+
+    notify(ticket, event, data) {
+        for (const listener of ticket.listeners) listener(event, data);
+    }
+
+    leaveQueue(ticketId) {
+        const ticket = this.tickets.get(ticketId);
+        if (!ticket) return false;
+
+        this.tickets.delete(ticketId);
+        const waiting = this.queueFor(ticket.tenantId);
+        const index = waiting.indexOf(ticket);
+        if (index >= 0) {
+            waiting.splice(index, 1);
+            this.promote(ticket.tenantId);
+        }
+        return true;
+    }
+
+    // Hand free slots to the head of the queue, then tell everyone else where they stand
+    promote(tenantId) {
+        const waiting = this.queueFor(tenantId);
+        while (waiting.length > 0 && this.hasFreeSlot(tenantId)) {
+            const ticket = waiting.shift();
+            const slot = this.grant(tenantId, ticket);
+            ticket.slotId = slot.id;
+            this.notify(ticket, 'granted', this.grantedEvent(ticket));
+        }
+        for (const ticket of waiting) {
+            this.notify(ticket, 'position', this.positionEvent(ticket));
+        }
+    }
+
+    // The slot, if it exists and belongs to this caller
+    owned(slotId, { tenantId, userId }) {
+        const slot = this.slots.get(slotId);
+        return slot && slot.tenantId === tenantId && slot.userId === userId ? slot : null;
+    }
+
+    // The queue ticket, if it exists and belongs to this caller
+    ownedTicket(ticketId, { tenantId, userId }) {
+        const ticket = this.tickets.get(ticketId);
+        return ticket && ticket.tenantId === tenantId && ticket.userId === userId ? ticket : null;
+    }
+
+    // Called for every sign issued against the slot: marks it active and
+    // extends the lease past the sign's expiry
+    claim(slotId, { tenantId, userId, conversationId, leaseMs }) {
+        const slot = this.owned(slotId, { tenantId, userId });
+        if (!slot) return { error: 'Unknown or expired slot', status: 404 };
+        if (slot.conversationId !== conversationId) {
+            return { error: 'Slot was reserved for a different conversation', status: 409 };
+        }
+
+        slot.state = 'active';
+        slot.lastHeartbeatAt = Date.now();
+        slot.leaseExpiresAt = slot.lastHeartbeatAt + leaseMs;
+        const ticket = [...this.tickets.values()].find(candidate => candidate.slotId === slotId);
+        if (ticket) this.tickets.delete(ticket.id);
+        return { slot };
+    }
+
+    heartbeat(slotId, now = Date.now()) {
+        const slot = this.slots.get(slotId);
+        if (!slot) return null;
+        slot.lastHeartbeatAt = now;
+        return slot;
+    }
+
+    attachSession(slotId, sessionUuid) {
+        const slot = this.slots.get(slotId);
+        if (!slot) return null;
+        slot.sessionUuid = sessionUuid;
+        return slot;
+    }
+
+    release(slotId, reason = 'released') {
+        const slot = this.slots.get(slotId);
+        if (!slot) return null;
+
+        this.slots.delete(slotId);
+        this.releaseCounts[reason] = (this.releaseCounts[reason] || 0) + 1;
+        for (const [ticketId, ticket] of this.tickets) {
+            if (ticket.slotId === slotId) this.tickets.delete(ticketId);
+        }
+        this.onRelease(slot, reason);
+        this.promote(slot.tenantId);
+        return slot;
+    }
+
+    // Frees every slot of the tenant (their sessions were closed upstream);
+    // queued callers are granted the freed slots as usual
+    releaseAll(tenantId, reason) {
+        return this.slotsFor(tenantId).map(slot => this.release(slot.id, reason)).length;
+    }
+
+    sweep(now = Date.now()) {
+        for (const slot of [...this.slots.values()]) {
+            if (now >= slot.leaseExpiresAt) {
+                this.release(slot.id, slot.state === 'reserved' ? 'claim_timeout' : 'lease_expired');
+            } else if (slot.state === 'active' && now - slot.lastHeartbeatAt > this.idleTimeoutMs) {
+                this.release(slot.id, 'idle');
+            }
+        }
+        for (const ticket of [...this.tickets.values()]) {
+            if (!ticket.slotId && ticket.listeners.size === 0 && now - ticket.lastSeenAt > this.abandonTimeoutMs) {
+                this.notify(ticket, 'expired', { ticketId: ticket.id });
+                this.leaveQueue(ticket.id);
+            }
+        }
+    }
+
+    snapshot(tenantId) {
+        const now = Date.now();
+        return {
+            tenant: tenantId,
+            capacity: this.capacityFor(tenantId),
+            slots: this.slotsFor(tenantId).map(slot => ({
+                id: slot.id,
+                state: slot.state,
+                conversationId: slot.conversationId,
+                userId: slot.userId,
+                sessionUuid: slot.sessionUuid,
+                grantedAt: new Date(slot.grantedAt).toISOString(),
+                lastHeartbeatSecondsAgo: Math.round((now - slot.lastHeartbeatAt) / 1000),
+                leaseExpiresInSeconds: Math.max(Math.round((slot.leaseExpiresAt - now) / 1000), 0)
+            })),
+            queue: this.queueFor(tenantId).map(ticket => ({
+                ticketId: ticket.id,
+                conversationId: ticket.conversationId,
+                userId: ticket.userId,
+                waitingSeconds: Math.round((now - ticket.enqueuedAt) / 1000),
+                connected: ticket.listeners.size > 0
+            }))
+        };
+    }
+}
+
+module.exports = { SessionSlotManager };
@@ -0,0 +1,182 @@
+// ✅ TENANT REGISTRY - Several DUIX apps served from one deployment
+// Each tenant has its own appId/appKey, the browser origins allowed to act
+// for it and an optional request budget. Requests are resolved to a tenant
+// and every token made for them is signed with that tenant's key.
+//
+// TENANTS_CONFIG shape (defaultTenant falls back to the first tenant):
+// {
+//   "defaultTenant": "acme",
+//   "tenants": {
+//     "acme": {
+//       "appId": "1377185422953811968",
+//       "appKey": "4f3725b2-...",
+//       "allowedOrigins": ["https://avatar.acme.com"],
+//       "rateLimit": { "windowMs": 60000, "max": 120 },
+//       "maxSessions": 3
+//     },
+//     "globex": { "appId": "...", "appKey": "..." }
+//   }
+// }
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function validateTenant(id, entry) {
+    if (!TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`Tenant id "${id}" must be lowercase letters, digits, "_" or "-"`);
+    }
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${id}: tenant config must be an object`);
+    }
+    for (const field of ['appId', 'appKey']) {
+        if (typeof entry[field] !== 'string' || !entry[field]) {
+            throw new Error(`${id}: ${field} is required`);
+        }
+    }
+
+    const allowedOrigins = entry.allowedOrigins || [];
+    if (!Array.isArray(allowedOrigins) || allowedOrigins.some(origin => typeof origin !== 'string')) {
+        throw new Error(`${id}: allowedOrigins must be an array of origins`);
+    }
+
+    const { rateLimit } = entry;
+    if (rateLimit) {
+        for (const field of ['windowMs', 'max']) {
+            if (!(Number.isInteger(rateLimit[field]) && rateLimit[field] > 0)) {
+                throw new Error(`${id}: rateLimit.${field} must be a positive integer`);
+            }
+        }
+    }
+
+    if (entry.maxSessions !== undefined && !(Number.isInteger(entry.maxSessions) && entry.maxSessions > 0)) {
+        throw new Error(`${id}: maxSessions must be a positive integer`);
+    }
+
+    return {
+        id,
+        appId: String(entry.appId),
+        appKey: entry.appKey,
+        allowedOrigins: allowedOrigins.map(origin => origin.replace(/\/$/, '')),
+        rateLimit: rateLimit ? { windowMs: rateLimit.windowMs, max: rateLimit.max } : null,
+        maxSessions: entry.maxSessions || null
+    };
+}
+
+class TenantRegistry {
+    constructor(config = {}) {
+        const entries = Object.entries(config.tenants || {});
+        if (entries.length === 0) {
+            throw new Error('At least one tenant must be configured');
+        }
+
+        this.tenants = new Map();
+        for (const [id, entry] of entries) {
+            const tenant = validateTenant(id, entry);
+            for (const other of this.tenants.values()) {
+                if (other.appId === tenant.appId) {
+                    throw new Error(`${id}: appId ${tenant.appId} is already used by tenant ${other.id}`);
+                }
+            }
+            this.tenants.set(id, tenant);
+        }
+
+        this.defaultTenantId = config.defaultTenant || entries[0][0];
+        if (!this.tenants.has(this.defaultTenantId)) {
+            throw new Error(`defaultTenant "${this.defaultTenantId}" is not a configured tenant`);
+        }
+
+        this.usage = new Map();
+    }
+
+    // Single-tenant deployments keep working from DUIX_APP_ID/DUIX_APP_KEY
+    static fromCredentials({ appId, appKey, allowedOrigins = [] }) {
+        return new TenantRegistry({
+            tenants: { default: { appId, appKey, allowedOrigins } }
+        });
+    }
+
+    get(id) {
+        return this.tenants.get(id) || null;
+    }
+
+    get defaultTenant() {
+        return this.tenants.get(this.defaultTenantId);
+    }
+
+    byAppId(appId) {
+        return this.all().find(tenant => tenant.appId === String(appId)) || null;
+    }
+
+    byOrigin(origin) {
+        return this.all().find(tenant => tenant.allowedOrigins.includes(origin)) || null;
+    }
+
+    all() {
+        return [...this.tenants.values()];
+    }
+
+    allowedOrigins() {
+        return this.all().flatMap(tenant => tenant.allowedOrigins);
+    }
+
+    // An explicit tenant id or appId wins, then the caller's bound tenant,
+    // then the request origin, then the default tenant. Returns { tenant } or
+    // { status, error }.
+    resolve({ tenantId, appId, boundTenantId, origin } = {}) {
+        let tenant = null;
+        if (tenantId) {
+            tenant = this.get(tenantId);
+            if (!tenant) return { status: 404, error: `Unknown tenant "${tenantId}"` };
+        } else if (appId) {
+            tenant = this.byAppId(appId);
+            if (!tenant) return { status: 404, error: `Unknown appId "${appId}"` };
+        }
+
+        if (boundTenantId) {
+            if (tenant && tenant.id !== boundTenantId) {
+                return { status: 403, error: `Caller is not allowed to act for tenant "${tenant.id}"` };
+            }
+            tenant = this.get(boundTenantId);
+        }
+
+        return { tenant: tenant || (origin && this.byOrigin(origin)) || this.defaultTenant };
+    }
+
+    // Tenants without allowedOrigins accept any origin
+    isOriginAllowed(tenant, origin) {
+        return tenant.allowedOrigins.length === 0 || tenant.allowedOrigins.includes(origin);
+    }
+
+    // Fixed-window request budget shared by everyone acting for the tenant
+    consume(tenant, now = Date.now()) {
+        if (!tenant.rateLimit) return { allowed: true };
+
+        const { windowMs, max } = tenant.rateLimit;
+        let usage = this.usage.get(tenant.id);
+        if (!usage || now - usage.windowStart >= windowMs) {
+            usage = { windowStart: now, count: 0 };
+            this.usage.set(tenant.id, usage);
+        }
+
+        if (usage.count >= max) {
+            return { allowed: false, retryAfterSeconds: Math.ceil((usage.windowStart + windowMs - now) / 1000) };
+        }
+        usage.count++;
+        return { allowed: true, remaining: max - usage.count };
+    }
+
+    // Safe to return from admin APIs - never includes the app key
+    describe(tenant) {
+        const usage = this.usage.get(tenant.id);
+        return {
+            id: tenant.id,
+            appId: tenant.appId,
+            default: tenant.id === this.defaultTenantId,
+            allowedOrigins: tenant.allowedOrigins,
+            rateLimit: tenant.rateLimit,
+            maxSessions: tenant.maxSessions,
+            windowRequests: usage && tenant.rateLimit && Date.now() - usage.windowStart < tenant.rateLimit.windowMs ? usage.count : 0
+        };
+    }
+}
+
+module.exports = { TenantRegistry };
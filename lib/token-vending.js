@@ -0,0 +1,213 @@
+// ✅ TOKEN VENDING - Short-lived, conversation-scoped DUIX signs for browsers
+// DUIX_APP_KEY never leaves the server: callers authenticate with an API key
+// (X-API-Key header) or a session cookie obtained by exchanging one, and get
+// back a sign bound to a single conversationId.
+//
+// API key config shape (user ids are what quotas and audit entries key on;
+// "tenant" pins a key to one tenant from lib/tenants.js):
+// {
+//   "kiosk-lobby": "3c0b...e1",
+//   "sales-demo": { "key": "9f2a...77", "quotaPerHour": 200, "tenant": "acme" }
+// }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SESSION_COOKIE = 'duix_session';
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // Ignore cookies we did not set
+        }
+    }
+    return cookies;
+}
+
+function validateApiKeys(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('API key config must be an object of userId -> key');
+    }
+
+    return Object.entries(config).map(([userId, entry]) => {
+        const { key, quotaPerHour, tenant } = typeof entry === 'string' ? { key: entry } : (entry || {});
+        if (typeof key !== 'string' || key.length < 16) {
+            throw new Error(`${userId}: API key must be a string of at least 16 characters`);
+        }
+        if (quotaPerHour !== undefined && !(Number.isInteger(quotaPerHour) && quotaPerHour > 0)) {
+            throw new Error(`${userId}: quotaPerHour must be a positive integer`);
+        }
+        if (tenant !== undefined && typeof tenant !== 'string') {
+            throw new Error(`${userId}: tenant must be a tenant id`);
+        }
+        return { userId, keyDigest: digest(key), quotaPerHour, tenant: tenant || null };
+    });
+}
+
+// Per-user sliding one-hour window of issued signs
+class SignQuota {
+    constructor(defaultPerHour) {
+        this.defaultPerHour = defaultPerHour;
+        this.issued = new Map();
+    }
+
+    check(userId, limit = this.defaultPerHour, now = Date.now()) {
+        const recent = (this.issued.get(userId) || []).filter(time => now - time < 3600000);
+        this.issued.set(userId, recent);
+
+        return {
+            limit,
+            remaining: Math.max(limit - recent.length, 0),
+            retryAfterSeconds: recent.length >= limit ? Math.ceil((recent[0] + 3600000 - now) / 1000) : 0
+        };
+    }
+
+    consume(userId, now = Date.now()) {
+        const recent = this.issued.get(userId) || [];
+        recent.push(now);
+        this.issued.set(userId, recent);
+    }
+}
+
+// Append-only JSONL audit trail, mirrored to the console
+class AuditLog {
+    constructor({ filePath } = {}) {
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+
+        if (this.filePath) {
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            } catch (error) {
+                console.warn(`⚠️  Audit log unavailable (${error.code || error.message}) - auditing to console only`);
+                this.filePath = null;
+            }
+        }
+    }
+
+    record(event, details = {}) {
+        const entry = { timestamp: new Date().toISOString(), event, ...details };
+        const summary = Object.entries(details)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => `${name}=${value}`)
+            .join(' ');
+        console.log(`🔏 AUDIT ${event} ${summary}`);
+
+        if (this.filePath) {
+            const line = JSON.stringify(entry) + '\n';
+            this.writeQueue = this.writeQueue
+                .then(() => fs.promises.appendFile(this.filePath, line))
+                .catch(error => {
+                    console.error(`❌ Failed to write audit entry: ${error.code || error.message}`);
+                });
+        }
+        return entry;
+    }
+
+    flush() {
+        return this.writeQueue;
+    }
+}
+
+class TokenVendingService {
+    constructor({ apiKeys = {}, sessionSecret, sessionTtlSeconds = 43200, signTtlSeconds = 300, quotaPerHour = 60, auditLog, secureCookies = true } = {}) {
+        this.users = validateApiKeys(apiKeys);
+        this.sessionSecret = sessionSecret || crypto.randomBytes(32).toString('hex');
+        this.sessionTtlSeconds = sessionTtlSeconds;
+        this.signTtlSeconds = signTtlSeconds;
+        this.quota = new SignQuota(quotaPerHour);
+        this.auditLog = auditLog || new AuditLog();
+        this.secureCookies = secureCookies;
+    }
+
+    // Expiry metadata sent with every sign; clients refresh once refreshIn
+    // seconds have passed, leaving a margin of up to a minute before expiry
+    signTiming(expiresIn = this.signTtlSeconds, now = Date.now()) {
+        const margin = Math.max(Math.min(60, Math.floor(expiresIn * 0.2)), 1);
+        return {
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + expiresIn * 1000).toISOString(),
+            expiresIn,
+            refreshIn: Math.max(expiresIn - margin, 1)
+        };
+    }
+
+    get enabled() {
+        return this.users.length > 0;
+    }
+
+    findUserByKey(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey) return null;
+        const presented = digest(apiKey);
+        // Compare against every user so timing does not reveal which key matched
+        let found = null;
+        for (const user of this.users) {
+            if (crypto.timingSafeEqual(presented, user.keyDigest)) found = user;
+        }
+        return found;
+    }
+
+    // Resolves the caller from X-API-Key or the session cookie; null if neither is valid
+    authenticate(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const user = this.findUserByKey(apiKey);
+            return user ? { user, method: 'api_key' } : null;
+        }
+
+        const sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        if (!sessionToken) return null;
+        try {
+            const { sub } = jwt.verify(sessionToken, this.sessionSecret, { algorithms: ['HS256'] });
+            const user = this.users.find(candidate => candidate.userId === sub);
+            return user ? { user, method: 'session' } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    createSession(user) {
+        const expiresAt = new Date(Date.now() + this.sessionTtlSeconds * 1000);
+        const token = jwt.sign({ sub: user.userId }, this.sessionSecret, {
+            algorithm: 'HS256',
+            expiresIn: this.sessionTtlSeconds
+        });
+        return { token, expiresAt };
+    }
+
+    sessionCookie(token, maxAgeSeconds = this.sessionTtlSeconds) {
+        const attributes = [
+            `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+            'Path=/api',
+            `Max-Age=${maxAgeSeconds}`,
+            'HttpOnly',
+            'SameSite=Strict'
+        ];
+        if (this.secureCookies) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+
+    clearSessionCookie() {
+        return this.sessionCookie('', 0);
+    }
+}
+
+module.exports = {
+    TokenVendingService,
+    AuditLog,
+    SignQuota,
+    validateApiKeys,
+    parseCookies,
+    CONVERSATION_ID_PATTERN,
+    SESSION_COOKIE
+};
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Generates an admin API key and the ADMIN_API_KEYS entry that stores its hash.
+// Usage: npm run admin:key -- <id> <viewer|operator|admin> [tenant]
+const { generateAdminKey, ADMIN_ROLES } = require('../lib/admin-auth');
+
+const [id, role, tenant] = process.argv.slice(2);
+
+if (!id || !ADMIN_ROLES.includes(role)) {
+    console.error(`Usage: npm run admin:key -- <id> <${ADMIN_ROLES.join('|')}> [tenant]`);
+    process.exit(1);
+}
+
+const { key, sha256 } = generateAdminKey();
+const entry = { id, role, sha256, ...(tenant ? { tenant } : {}) };
+
+console.log('🔑 Admin API key (shown once - hand it to the key holder):');
+console.log(`   ${key}`);
+console.log('');
+console.log('Add this entry to the "keys" array of ADMIN_API_KEYS:');
+console.log(`   ${JSON.stringify(entry)}`);
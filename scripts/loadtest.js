@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+// Headless load tester for the server API. Virtual users loop through the
+// chosen scenarios against a running instance (--url) or, by default, a local
+// server.js started on the mock upstream with rate limits off, then print
+// throughput, error rate and latency percentiles per route.
+// Usage: npm run loadtest -- [--concurrency 20] [--ramp-up 10] [--duration 60] [--report out.json]
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { LatencySketch } = require('../lib/latency-stats');
+
+const SCENARIOS = ['measure', 'test', 'conversation', 'session'];
+const OPTIONS = {
+    url: { default: null, help: 'Base URL of a running instance (default: start a local mock instance)' },
+    port: { default: 3999, number: true, help: 'Port for the local instance' },
+    concurrency: { default: 10, number: true, help: 'Virtual users' },
+    'ramp-up': { default: 10, number: true, help: 'Seconds over which virtual users start' },
+    duration: { default: 60, number: true, help: 'Total test length in seconds, ramp-up included' },
+    'think-time': { default: 100, number: true, help: 'Pause between iterations of one user (ms)' },
+    timeout: { default: 10000, number: true, help: 'Per-request timeout (ms)' },
+    scenarios: { default: SCENARIOS.join(','), help: `Comma-separated: ${SCENARIOS.join(', ')}` },
+    'api-key': { default: process.env.LOADTEST_API_KEY || null, help: 'X-API-Key for instances with SIGN_API_KEYS' },
+    report: { default: null, help: 'Write a JSON report to this path' },
+    'max-error-rate': { default: null, number: true, help: 'Exit with status 1 above this error rate (0-1)' }
+};
+const PROGRESS_INTERVAL_MS = 5000;
+const QUESTIONS = ['Hello, how are you today?', 'What can you do?', 'Tell me about yourself'];
+
+function parseArgs(argv) {
+    const options = Object.fromEntries(Object.entries(OPTIONS).map(([name, spec]) => [name, spec.default]));
+    for (let index = 0; index < argv.length; index++) {
+        const [flag, inline] = argv[index].split(/=(.*)/s);
+        const name = flag.replace(/^--/, '');
+        if (name === 'help' || !flag.startsWith('--') || !OPTIONS[name]) {
+            if (name !== 'help') console.error(`Unknown option ${argv[index]}`);
+            usage(name === 'help' ? 0 : 1);
+        }
+        const value = inline !== undefined ? inline : argv[++index];
+        if (value === undefined) usage(1);
+        options[name] = OPTIONS[name].number ? Number(value) : value;
+        if (OPTIONS[name].number && !Number.isFinite(options[name])) {
+            console.error(`--${name} must be a number`);
+            process.exit(1);
+        }
+    }
+
+    options.scenarios = options.scenarios.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = options.scenarios.filter(name => !SCENARIOS.includes(name));
+    if (unknown.length > 0 || options.scenarios.length === 0) {
+        console.error(`--scenarios must list some of ${SCENARIOS.join(', ')}`);
+        process.exit(1);
+    }
+    if (options.concurrency < 1 || options.duration <= 0 || options['ramp-up'] < 0) {
+        console.error('--concurrency must be at least 1 and --duration positive');
+        process.exit(1);
+    }
+    return options;
+}
+
+function usage(code) {
+    console.log('Usage: npm run loadtest -- [options]\n');
+    for (const [name, spec] of Object.entries(OPTIONS)) {
+        console.log(`  --${name.padEnd(16)} ${spec.help}${spec.default !== null ? ` (default ${spec.default})` : ''}`);
+    }
+    process.exit(code);
+}
+
+// Per-route counters and latency sketches, plus a per-second timeline
+class Results {
+    constructor() {
+        this.routes = new Map();
+        this.timeline = new Map();
+        this.startedAt = Date.now();
+    }
+
+    record(route, status, durationMs) {
+        let entry = this.routes.get(route);
+        if (!entry) {
+            entry = { count: 0, errors: 0, statusCodes: {}, latency: new LatencySketch() };
+            this.routes.set(route, entry);
+        }
+        const failed = !(status >= 200 && status < 300);
+        entry.count++;
+        if (failed) entry.errors++;
+        entry.statusCodes[status] = (entry.statusCodes[status] || 0) + 1;
+        entry.latency.add(durationMs);
+
+        const second = Math.floor((Date.now() - this.startedAt) / 1000);
+        const bucket = this.timeline.get(second) || { second, requests: 0, errors: 0 };
+        bucket.requests++;
+        if (failed) bucket.errors++;
+        this.timeline.set(second, bucket);
+    }
+
+    totals() {
+        const latency = new LatencySketch();
+        let count = 0;
+        let errors = 0;
+        for (const entry of this.routes.values()) {
+            latency.merge(entry.latency);
+            count += entry.count;
+            errors += entry.errors;
+        }
+        return { count, errors, latency };
+    }
+}
+
+// One virtual user: sequential requests, keeping its own conversation and sign
+class VirtualUser {
+    constructor(id, { client, results, options }) {
+        this.id = id;
+        this.client = client;
+        this.results = results;
+        this.options = options;
+        this.conversationId = `loadtest-${id}`;
+        this.sign = null;
+        this.iteration = 0;
+    }
+
+    async request(route, config) {
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await this.client.request(config);
+        } catch (error) {
+            // Network errors and timeouts count as status 0
+            this.results.record(route, 0, Date.now() - startTime);
+            return null;
+        }
+        this.results.record(route, response.status, Date.now() - startTime);
+        return response;
+    }
+
+    async run(stopAt) {
+        const { scenarios } = this.options;
+        while (Date.now() < stopAt) {
+            const scenario = scenarios[(this.id + this.iteration++) % scenarios.length];
+            await this[scenario]();
+            if (this.options['think-time'] > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.options['think-time']));
+            }
+        }
+    }
+
+    measure() {
+        return this.request('POST /api/measure-latency', {
+            method: 'POST',
+            url: '/api/measure-latency',
+            data: { clientSendTime: Date.now(), measurementType: 'loadtest', sessionId: this.conversationId }
+        });
+    }
+
+    async test() {
+        // /api/test-latency needs a DUIX token; a vended sign is one
+        if (!this.sign) await this.session();
+        if (!this.sign) return;
+        await this.request('POST /api/test-latency', {
+            method: 'POST',
+            url: '/api/test-latency',
+            data: { question: QUESTIONS[this.iteration % QUESTIONS.length], token: this.sign }
+        });
+    }
+
+    conversation() {
+        return this.request('POST /api/duix/create-conversation', {
+            method: 'POST',
+            url: '/api/duix/create-conversation',
+            data: { conversationId: this.conversationId, name: `Load test ${this.id}` }
+        });
+    }
+
+    // The page's session lifecycle: reserve a slot (or queue), take a sign,
+    // attach the session, heartbeat once and release
+    async session() {
+        const reserved = await this.request('POST /api/slots', {
+            method: 'POST',
+            url: '/api/slots',
+            data: { conversationId: this.conversationId }
+        });
+        if (!reserved) return;
+
+        if (reserved.status === 202) {
+            await this.request('DELETE /api/slots/tickets/:id', {
+                method: 'DELETE',
+                url: `/api/slots/tickets/${reserved.data.ticketId}`
+            });
+            return;
+        }
+        if (reserved.status !== 200) return;
+
+        const { slotId } = reserved.data;
+        const signed = await this.request('GET /api/duix/sign', {
+            method: 'GET',
+            url: '/api/duix/sign',
+            params: { conversationId: this.conversationId, slotId }
+        });
+        if (signed && signed.status === 200) this.sign = signed.data.sign;
+
+        await this.request('PUT /api/slots/:id', {
+            method: 'PUT',
+            url: `/api/slots/${slotId}`,
+            data: { sessionUuid: `loadtest-${this.id}-${this.iteration}` }
+        });
+        await this.request('POST /api/slots/:id/heartbeat', { method: 'POST', url: `/api/slots/${slotId}/heartbeat` });
+        await this.request('DELETE /api/slots/:id', { method: 'DELETE', url: `/api/slots/${slotId}` });
+    }
+}
+
+// Starts server.js on the mock upstream with throwaway in-memory stores
+async function startLocalServer(options) {
+    const baseUrl = `http://127.0.0.1:${options.port}`;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'development',
+            PORT: String(options.port),
+            AVATAR_PROVIDER: 'mock',
+            RATE_LIMIT_DISABLED: 'true',
+            LATENCY_STORE_DISABLED: 'true',
+            AUDIT_LOG_DISABLED: 'true',
+            CONVERSATION_STORE_DISABLED: 'true',
+            BENCHMARK_STORE_DISABLED: 'true',
+            SESSION_SLOTS_MAX: String(options.concurrency),
+            CONVERSATIONS_MAX_PER_TENANT: String(Math.max(options.concurrency, 500))
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (child.exitCode !== null) break;
+        try {
+            await axios.get(`${baseUrl}/ping`, { timeout: 1000 });
+            return { baseUrl, stop: () => { child.kill('SIGTERM'); return exited; } };
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    child.kill('SIGKILL');
+    throw new Error(`Local server did not start on port ${options.port}`);
+}
+
+const ms = (value) => (value === undefined ? '-' : `${Math.round(value)}`);
+
+function printSummary(results, elapsedSeconds, options) {
+    const { count, errors, latency } = results.totals();
+    console.log('');
+    console.log(`🏁 Load test finished: ${elapsedSeconds.toFixed(1)}s, ${options.concurrency} virtual users`);
+    console.log(`   Requests ${count} (${(count / elapsedSeconds).toFixed(1)}/s), errors ${errors} (${(count ? errors / count * 100 : 0).toFixed(2)}%)`);
+    console.log('');
+    console.log(`   ${'Route'.padEnd(34)} ${'Count'.padStart(7)} ${'Err%'.padStart(6)} ${'p50'.padStart(6)} ${'p90'.padStart(6)} ${'p95'.padStart(6)} ${'p99'.padStart(6)} ${'max'.padStart(6)}`);
+
+    const rows = [...results.routes.entries()].sort(([a], [b]) => a.localeCompare(b));
+    rows.push(['All routes', { count, errors, latency }]);
+    for (const [route, entry] of rows) {
+        const summary = entry.latency.summary();
+        console.log(`   ${route.padEnd(34)} ${String(entry.count).padStart(7)} ${(entry.errors / entry.count * 100).toFixed(1).padStart(6)} ${ms(summary.p50).padStart(6)} ${ms(summary.p90).padStart(6)} ${ms(summary.p95).padStart(6)} ${ms(summary.p99).padStart(6)} ${ms(summary.max).padStart(6)}`);
+    }
+    console.log('   (latencies in ms)');
+}
+
+function buildReport(results, elapsedSeconds, options, target) {
+    const { count, errors, latency } = results.totals();
+    return {
+        startedAt: new Date(results.startedAt).toISOString(),
+        target,
+        options,
+        durationSeconds: Number(elapsedSeconds.toFixed(3)),
+        totals: {
+            requests: count,
+            errors,
+            errorRate: count ? errors / count : 0,
+            throughput: count / elapsedSeconds,
+            latency: latency.summary()
+        },
+        routes: Object.fromEntries([...results.routes.entries()].map(([route, entry]) => [route, {
+            requests: entry.count,
+            errors: entry.errors,
+            errorRate: entry.errors / entry.count,
+            throughput: entry.count / elapsedSeconds,
+            statusCodes: entry.statusCodes,
+            latency: entry.latency.summary()
+        }])),
+        timeline: [...results.timeline.values()].sort((a, b) => a.second - b.second)
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const local = options.url ? null : await startLocalServer(options);
+    const baseUrl = options.url || local.baseUrl;
+    const agentOptions = { keepAlive: true, maxSockets: options.concurrency };
+
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout: options.timeout,
+        headers: options['api-key'] ? { 'X-API-Key': options['api-key'] } : {},
+        httpAgent: new http.Agent(agentOptions),
+        httpsAgent: new https.Agent(agentOptions),
+        validateStatus: () => true
+    });
+
+    console.log(`🚀 Load testing ${baseUrl}${local ? ' (local mock instance)' : ''}: ${options.concurrency} users, ${options['ramp-up']}s ramp-up, ${options.duration}s, scenarios ${options.scenarios.join(', ')}`);
+
+    const results = new Results();
+    const stopAt = results.startedAt + options.duration * 1000;
+    const rampStepMs = options['ramp-up'] * 1000 / options.concurrency;
+    let activeUsers = 0;
+
+    const progressTimer = setInterval(() => {
+        const elapsed = (Date.now() - results.startedAt) / 1000;
+        const { count, errors } = results.totals();
+        console.log(`   ${elapsed.toFixed(0)}s: ${activeUsers} users, ${count} requests (${(count / elapsed).toFixed(1)}/s), ${errors} errors`);
+    }, PROGRESS_INTERVAL_MS);
+
+    const users = Array.from({ length: options.concurrency }, (_, index) => (async () => {
+        await new Promise(resolve => setTimeout(resolve, index * rampStepMs));
+        if (Date.now() >= stopAt) return;
+        activeUsers++;
+        await new VirtualUser(index, { client, results, options }).run(stopAt);
+        activeUsers--;
+    })());
+
+    try {
+        await Promise.all(users);
+    } finally {
+        clearInterval(progressTimer);
+        if (local) await local.stop();
+    }
+
+    const elapsedSeconds = (Date.now() - results.startedAt) / 1000;
+    printSummary(results, elapsedSeconds, options);
+
+    const report = buildReport(results, elapsedSeconds, options, baseUrl);
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+        console.log(`📄 Report written to ${options.report}`);
+    }
+
+    if (options['max-error-rate'] !== null && report.totals.errorRate > options['max-error-rate']) {
+        console.error(`❌ Error rate ${(report.totals.errorRate * 100).toFixed(2)}% is above --max-error-rate ${options['max-error-rate']}`);
+        process.exit(1);
+    }
+    // Keep-alive sockets would otherwise hold the process open
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error(`❌ Load test failed: ${error.message}`);
+    process.exit(1);
+});
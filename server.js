@@ -33,11 +33,33 @@ const axios = require('axios');
 const path = require('path');
 const jwt = require('jsonwebtoken');
 const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
 const { Agent } = require('https');
+const { LatencyStore, LATENCY_STAGES, INPUT_MODES } = require('./lib/latency-store');
+const { LatencyStats } = require('./lib/latency-stats');
+const { renderExport, EXPORT_FORMATS } = require('./lib/latency-export');
+const { MetricsRegistry } = require('./lib/metrics');
+const { createAvatarProvider, FaultInjectingProvider, DUIX_ENDPOINTS } = require('./lib/providers');
+const { CircuitBreakerRegistry } = require('./lib/circuit-breaker');
+const { TokenVendingService, AuditLog, CONVERSATION_ID_PATTERN } = require('./lib/token-vending');
+const { TenantRegistry } = require('./lib/tenants');
+const { AdminKeyStore } = require('./lib/admin-auth');
+const { SessionSlotManager } = require('./lib/session-slots');
+const { ConversationRegistry, toDuixConversation } = require('./lib/conversations');
+const { TemplateLibrary, serializeTemplate, TEMPLATE_FORMATS } = require('./lib/conversation-templates');
+const { AvatarCatalog } = require('./lib/catalog');
+const { BenchmarkRegistry, parseQuestionSet, summarize } = require('./lib/benchmarks');
+const { PingChannel } = require('./lib/ping-channel');
+
+// Lookup tables keyed by request input must not match Object.prototype keys
+// such as "constructor" (Object.hasOwn needs Node 16.9)
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
 
 // ✅ GRACEFUL DEPENDENCY LOADING - Works with or without production packages
 let rateLimit = null;
 let helmet = null;
+let WebSocketServer = null;
 
 try {
     rateLimit = require('express-rate-limit');
@@ -53,8 +75,101 @@ try {
     console.log('⚠️  helmet not found - Security headers disabled (install for production)');
 }
 
+try {
+    ({ WebSocketServer } = require('ws'));
+    console.log('✅ ws loaded - WebSocket ping channel enabled');
+} catch (e) {
+    console.log('⚠️  ws not found - WebSocket ping channel disabled (network latency falls back to HTTP probes)');
+}
+
 const app = express();
 
+// ✅ PROMETHEUS METRICS - Exposed at GET /metrics
+const metrics = new MetricsRegistry();
+const avatarLatencyHistogram = metrics.histogram(
+    'avatar_stage_latency_seconds',
+    'Client-reported avatar latency per stage (total = speech-to-speech)',
+    ['stage']
+);
+const duixRequestHistogram = metrics.histogram(
+    'duix_upstream_request_duration_seconds',
+    'Duration of upstream DUIX API calls',
+    ['endpoint', 'outcome']
+);
+const duixRetryCounter = metrics.counter(
+    'duix_upstream_retries_total',
+    'Upstream DUIX API calls retried after a failed attempt',
+    ['endpoint']
+);
+const duixFallbackCounter = metrics.counter(
+    'duix_fallback_responses_total',
+    'Hybrid fallback responses returned instead of a DUIX API result',
+    ['reason']
+);
+const circuitBreakerTransitionCounter = metrics.counter(
+    'duix_circuit_breaker_transitions_total',
+    'DUIX circuit breaker state transitions',
+    ['endpoint', 'from', 'to']
+);
+metrics.gauge(
+    'duix_circuit_breaker_state',
+    'Current DUIX circuit breaker state per upstream endpoint (1 for the active state)',
+    ['endpoint', 'state'],
+    (gauge) => {
+        for (const breaker of circuitBreakers.all()) {
+            for (const state of ['CLOSED', 'OPEN', 'HALF_OPEN']) {
+                gauge.set({ endpoint: breaker.name, state }, breaker.state === state ? 1 : 0);
+            }
+        }
+    }
+);
+const injectedFaultCounter = metrics.counter(
+    'duix_injected_faults_total',
+    'Faults and latency injected into upstream DUIX calls by fault-injection mode',
+    ['endpoint', 'type']
+);
+const signRequestCounter = metrics.counter(
+    'duix_sign_requests_total',
+    'DUIX sign requests to the token vending endpoint by outcome',
+    ['outcome']
+);
+const slotReleaseCounter = metrics.counter(
+    'avatar_session_slot_releases_total',
+    'Avatar session slots released, by reason',
+    ['reason']
+);
+const sessionReapedCounter = metrics.counter(
+    'avatar_sessions_reaped_total',
+    'Abandoned avatar sessions stopped by the server (missed heartbeats or lapsed sign lease)',
+    ['tenant', 'reason']
+);
+metrics.gauge(
+    'avatar_session_slots',
+    'Avatar session slots in use per tenant and state',
+    ['tenant', 'state'],
+    (gauge) => {
+        for (const tenant of tenants.all()) {
+            const held = sessionSlots.slotsFor(tenant.id);
+            for (const state of ['reserved', 'active']) {
+                gauge.set({ tenant: tenant.id, state }, held.filter(slot => slot.state === state).length);
+            }
+        }
+    }
+);
+metrics.gauge('avatar_session_queue_length', 'Visitors waiting for an avatar session slot', ['tenant'], (gauge) => {
+    for (const tenant of tenants.all()) {
+        gauge.set({ tenant: tenant.id }, sessionSlots.queueFor(tenant.id).length);
+    }
+});
+const rateLimitRejectionCounter = metrics.counter(
+    'http_rate_limit_rejections_total',
+    'Requests rejected by the API rate limiters',
+    ['limiter']
+);
+metrics.gauge('process_uptime_seconds', 'Server process uptime', [], (gauge) => {
+    gauge.set({}, process.uptime());
+});
+
 // ✅ PRODUCTION SECURITY MIDDLEWARE - Graceful degradation
 if (IS_PRODUCTION) {
     // Security headers (if helmet is available)
@@ -89,10 +204,11 @@ if (IS_PRODUCTION) {
     
     // Production CORS configuration
     app.use(cors({
-        origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : false,
+        // ALLOWED_ORIGINS plus every tenant's allowedOrigins
+        origin: (origin, callback) => callback(null, Boolean(origin) && corsAllowedOrigins().includes(origin)),
         credentials: true,
-        methods: ['GET', 'POST'],
-        allowedHeaders: ['Content-Type', 'Authorization']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Id', 'X-Admin-Token']
     }));
 } else {
     // Development CORS (more permissive)
@@ -100,29 +216,54 @@ if (IS_PRODUCTION) {
 }
 
 // ✅ PRODUCTION RATE LIMITING - Graceful degradation
-if (rateLimit) {
-    const createRateLimit = (windowMs, max, message) => rateLimit({
+// RATE_LIMIT_DISABLED lets `npm run loadtest` push a local instance past the
+// per-IP limits; it is ignored in production
+// Slot heartbeats keep sessions alive: charging them to the shared per-IP
+// budget would let a NAT full of kiosks starve it and get every session
+// reaped as idle, so each slot gets a budget of its own instead
+const isSlotHeartbeat = (req) => /^\/slots\/[^/]+\/heartbeat$/.test(req.path);
+// Idle pages poll for queued benchmark runs; that polling has its own budget too
+const isBenchmarkPoll = (req) => req.path === '/benchmarks/next';
+
+if (process.env.RATE_LIMIT_DISABLED === 'true' && !IS_PRODUCTION) {
+    console.warn('⚠️  Rate limiting disabled by RATE_LIMIT_DISABLED - use for load testing only');
+} else if (rateLimit) {
+    const createRateLimit = (limiter, windowMs, max, message, { skip, keyGenerator } = {}) => rateLimit({
         windowMs,
         max,
+        skip,
+        ...(keyGenerator ? { keyGenerator } : {}),
         message: { error: message },
         standardHeaders: true,
         legacyHeaders: false,
         handler: (req, res) => {
             console.warn(`Rate limit exceeded for IP: ${req.ip}`);
+            rateLimitRejectionCounter.inc({ limiter });
             res.status(429).json({ error: message });
         }
     });
 
-    // Different rate limits for different endpoints
-    app.use('/api/', createRateLimit(15 * 60 * 1000, 100, 'Too many API requests')); // 100 requests per 15 minutes
-    app.use('/api/duix/', createRateLimit(1 * 60 * 1000, 10, 'Too many DUIX API requests')); // 10 requests per minute
-    app.use('/api/test-', createRateLimit(5 * 60 * 1000, 20, 'Too many test requests')); // 20 requests per 5 minutes
+    // Different rate limits for different endpoints. Clock-sync probes come
+    // in bursts of several samples, so they get a budget of their own.
+    const isLatencyProbe = (req) => req.path === '/measure-latency';
+    app.use('/api/', createRateLimit('api', 15 * 60 * 1000, 100, 'Too many API requests', {
+        skip: (req) => isLatencyProbe(req) || isSlotHeartbeat(req) || isBenchmarkPoll(req)
+    })); // 100 requests per 15 minutes
+    app.use('/api/benchmarks/next', createRateLimit('benchmark_poll', 1 * 60 * 1000, 30, 'Too many benchmark polls')); // 30 polls per minute
+    app.use('/api/slots/:slotId/heartbeat', createRateLimit('heartbeat', 1 * 60 * 1000,
+        () => Math.ceil(60 / SESSION_HEARTBEAT_INTERVAL) * 4, 'Too many heartbeats', {
+            keyGenerator: (req) => `${req.ip}:${req.params.slotId}`
+        })); // every beat of the interval plus the page's retries, per slot
+    app.use('/api/measure-latency', createRateLimit('measure', 1 * 60 * 1000, 120, 'Too many latency probes')); // 120 requests per minute
+    app.use('/api/duix/', createRateLimit('duix', 1 * 60 * 1000, 10, 'Too many DUIX API requests')); // 10 requests per minute
+    app.use('/api/test-', createRateLimit('test', 5 * 60 * 1000, 20, 'Too many test requests')); // 20 requests per 5 minutes
     console.log('🚦 Rate limiting enabled');
 } else {
     console.log('⚠️  Rate limiting disabled - Install express-rate-limit for production');
     // Basic rate limiting fallback using in-memory store
     const requestCounts = new Map();
     app.use('/api/', (req, res, next) => {
+        if (isSlotHeartbeat(req) || isBenchmarkPoll(req)) return next();
         const ip = req.ip || req.connection.remoteAddress;
         const now = Date.now();
         const windowStart = now - (15 * 60 * 1000); // 15 minutes
@@ -134,6 +275,7 @@ if (rateLimit) {
         const requests = requestCounts.get(ip).filter(time => time > windowStart);
         
         if (requests.length >= 100) {
+            rateLimitRejectionCounter.inc({ limiter: 'api' });
             return res.status(429).json({ error: 'Too many requests' });
         }
         
@@ -160,29 +302,116 @@ const DUIX_APP_ID = process.env.DUIX_APP_ID || '1377185422953811968';
 const DUIX_APP_KEY = process.env.DUIX_APP_KEY || '4f3725b2-7d48-4ea7-8640-d1a11eb00f8c';
 const TOKEN_EXPIRY = parseInt(process.env.TOKEN_EXPIRY) || 1800; // 30 minutes
 
-// DUIX API endpoints from official documentation
-const DUIX_ENDPOINTS = {
-    GET_CONCURRENT_NUMBER: '/duix-openapi-v2/sdk/v2/getconcurrentNumber',
-    GET_CONCURRENT_LIST: '/duix-openapi-v2/sdk/v2/getconcurrentList',
-    GET_CONVERSATION_DETAILS: '/duix-openapi-v2/sdk/getConversationById',
-    SESSION_STOP: '/duix-openapi-v2/sdk/v2/sessionStop',
-    CLOSE_ALL_SESSIONS: '/duix-openapi-v2/sdk/v2/distroyCallSessionsByAppId'
+// JSON config env vars accept inline JSON or a path to a JSON file
+const loadJsonConfig = (source) => {
+    const text = source.trim();
+    return JSON.parse(text.startsWith('{') ? text : fs.readFileSync(text, 'utf8'));
 };
 
+// ✅ AVATAR CATALOG - Avatars, voices and languages (JSON or YAML, hot-reloaded)
+const CATALOG_PATH = process.env.CATALOG_PATH || path.join(__dirname, 'config', 'catalog.yaml');
+
+const avatarCatalog = new AvatarCatalog({ filePath: CATALOG_PATH });
+try {
+    const { avatars, voices, languages } = avatarCatalog.load();
+    console.log(`🎭 Catalog: ${avatars.length} avatars, ${voices.length} voices, ${languages.length} languages from ${CATALOG_PATH}`);
+} catch (error) {
+    console.error(`❌ Invalid avatar catalog ${CATALOG_PATH}: ${error.message}`);
+    process.exit(1);
+}
+if (process.env.CATALOG_WATCH !== 'false') avatarCatalog.watch();
+
 // Validate required environment variables in production
 if (IS_PRODUCTION) {
-    if (!process.env.DUIX_APP_ID || !process.env.DUIX_APP_KEY) {
-        console.error('❌ PRODUCTION ERROR: DUIX_APP_ID and DUIX_APP_KEY must be set in production');
+    if (!process.env.TENANTS_CONFIG && (!process.env.DUIX_APP_ID || !process.env.DUIX_APP_KEY)) {
+        console.error('❌ PRODUCTION ERROR: set TENANTS_CONFIG, or DUIX_APP_ID and DUIX_APP_KEY, in production');
         process.exit(1);
     }
     console.log('✅ Production credentials validated');
+}
+
+// ✅ TENANT REGISTRY - Per-tenant DUIX credentials, origins and request budgets
+// TENANTS_CONFIG (inline JSON or file path, see lib/tenants.js) replaces the
+// single DUIX_APP_ID/DUIX_APP_KEY pair.
+const ENV_ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : [];
+
+let tenants;
+try {
+    tenants = process.env.TENANTS_CONFIG
+        ? new TenantRegistry(loadJsonConfig(process.env.TENANTS_CONFIG))
+        : TenantRegistry.fromCredentials({ appId: DUIX_APP_ID, appKey: DUIX_APP_KEY, allowedOrigins: ENV_ALLOWED_ORIGINS });
+} catch (error) {
+    console.error(`❌ Invalid TENANTS_CONFIG: ${error.message}`);
+    process.exit(1);
+}
+
+function corsAllowedOrigins() {
+    return ENV_ALLOWED_ORIGINS.concat(tenants.allowedOrigins());
+}
+
+if (IS_PRODUCTION) {
+    console.log(`🏢 Tenants: ${tenants.all().map(tenant => tenant.id).join(', ')} (default: ${tenants.defaultTenantId})`);
 } else {
     console.log('🔍 API Configuration:');
     console.log(`   API URL: ${DUIX_API_URL}`);
-    console.log(`   APP ID: ${DUIX_APP_ID}`);
-    console.log(`   APP KEY: ${DUIX_APP_KEY.substring(0, 8)}...`);
+    for (const tenant of tenants.all()) {
+        console.log(`   Tenant ${tenant.id}: APP ID ${tenant.appId}, APP KEY ${tenant.appKey.substring(0, 8)}...`);
+    }
 }
 
+// Avatar backend: 'duix' (api.duix.com) or 'mock' (fully local, for CI/offline)
+const AVATAR_PROVIDER = process.env.AVATAR_PROVIDER || 'duix';
+
+// ✅ LATENCY HISTORY CONFIGURATION
+const LATENCY_STORE_PATH = process.env.LATENCY_STORE_PATH || path.join(__dirname, 'data', 'latency-history.jsonl');
+const LATENCY_HISTORY_MAX = parseInt(process.env.LATENCY_HISTORY_MAX) || 10000;
+
+const latencyStore = new LatencyStore({
+    filePath: process.env.LATENCY_STORE_DISABLED === 'true' ? null : LATENCY_STORE_PATH,
+    maxRecords: LATENCY_HISTORY_MAX,
+    defaultTenant: tenants.defaultTenantId
+});
+
+// ✅ CONVERSATION REGISTRY - Locally managed conversations, persisted to disk
+const CONVERSATION_STORE_PATH = process.env.CONVERSATION_STORE_PATH || path.join(__dirname, 'data', 'conversations.json');
+
+const conversations = new ConversationRegistry({
+    filePath: process.env.CONVERSATION_STORE_DISABLED === 'true' ? null : CONVERSATION_STORE_PATH,
+    maxPerTenant: parseInt(process.env.CONVERSATIONS_MAX_PER_TENANT) || 500
+});
+
+// Built-in templates ship in templates/; tenant templates persist next to conversations
+const TEMPLATE_STORE_PATH = process.env.TEMPLATE_STORE_PATH || path.join(__dirname, 'data', 'conversation-templates.json');
+
+const conversationTemplates = new TemplateLibrary({
+    builtinDirectory: path.join(__dirname, 'templates'),
+    filePath: process.env.CONVERSATION_STORE_DISABLED === 'true' ? null : TEMPLATE_STORE_PATH
+});
+
+// Scripted latency benchmark runs and their per-turn results
+const BENCHMARK_STORE_PATH = process.env.BENCHMARK_STORE_PATH || path.join(__dirname, 'data', 'benchmarks.json');
+
+const benchmarks = new BenchmarkRegistry({
+    filePath: process.env.BENCHMARK_STORE_DISABLED === 'true' ? null : BENCHMARK_STORE_PATH,
+    maxRunsPerTenant: parseInt(process.env.BENCHMARK_MAX_RUNS_PER_TENANT) || 100,
+    maxQueuedPerTenant: parseInt(process.env.BENCHMARK_MAX_QUEUED_PER_TENANT) || 10,
+    queuedExpiryMs: (parseInt(process.env.BENCHMARK_QUEUED_EXPIRY) || 3600) * 1000
+});
+
+// Rolling-window percentiles (SLO numbers), seeded from persisted history
+const LATENCY_STATS_WINDOWS = (process.env.LATENCY_STATS_WINDOWS || '5m,1h,24h').split(',').map(w => w.trim());
+const latencyStats = new LatencyStats({
+    windows: LATENCY_STATS_WINDOWS,
+    maxGroups: parseInt(process.env.LATENCY_STATS_MAX_GROUPS) || 500
+});
+latencyStore.query({ limit: LATENCY_HISTORY_MAX }).forEach(record => latencyStats.add(record));
+latencyStore.onRecord(record => latencyStats.add(record));
+latencyStore.onRecord(record => {
+    for (const [stage, value] of Object.entries(record.stages)) {
+        avatarLatencyHistogram.observe({ stage }, value / 1000);
+    }
+});
+
 // ✅ AWS-OPTIMIZED HYBRID SSL CONFIGURATION
 const createHTTPSAgent = (strategy = 'production') => {
     const isForDuixAPI = strategy === 'duix_api';
@@ -275,8 +504,90 @@ axios.defaults.headers.common['User-Agent'] = 'DUIX-Production/1.0';
 axios.defaults.timeout = 15000;
 axios.defaults.validateStatus = (status) => status < 500;
 
+// ✅ AVATAR BACKEND PROVIDER - All upstream session/conversation calls go through here
+// The fault-injection wrapper is a pass-through until configured via
+// FAULT_INJECTION (inline JSON or a path to a JSON file) or the admin API.
+const recordUpstreamRequest = ({ endpoint, status, error, durationMs }) => {
+    const outcome = error ? 'error' : status === 200 ? 'success' : `http_${status}`;
+    duixRequestHistogram.observe({ endpoint, outcome }, durationMs / 1000);
+};
+const avatarProvider = new FaultInjectingProvider(
+    createAvatarProvider(AVATAR_PROVIDER, {
+        apiUrl: DUIX_API_URL,
+        createAgent: createHTTPSAgent,
+        onRequest: recordUpstreamRequest
+    }),
+    {
+        onInject: ({ endpoint, type }) => injectedFaultCounter.inc({ endpoint, type }),
+        onRequest: recordUpstreamRequest
+    }
+);
+console.log(`🧩 Avatar provider: ${avatarProvider.name}`);
+
+// ✅ PER-ENDPOINT CIRCUIT BREAKERS
+// CIRCUIT_BREAKER_CONFIG (inline JSON or file path) overrides the defaults in
+// lib/circuit-breaker.js, e.g.
+// {"*": {"failureRateThreshold": 0.5, "minimumRequests": 5, "halfOpenMaxProbes": 1}, "SESSION_STOP": {"successThreshold": 1}}
+
+let circuitBreakerConfig = {};
+if (process.env.CIRCUIT_BREAKER_CONFIG) {
+    try {
+        circuitBreakerConfig = loadJsonConfig(process.env.CIRCUIT_BREAKER_CONFIG);
+        for (const name of Object.keys(circuitBreakerConfig)) {
+            if (name !== '*' && !hasOwn(DUIX_ENDPOINTS, name)) {
+                throw new Error(`Unknown endpoint "${name}"`);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Invalid CIRCUIT_BREAKER_CONFIG: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const circuitBreakers = new CircuitBreakerRegistry(circuitBreakerConfig, {
+    onTransition: (endpoint, { from, to, reason }) => {
+        circuitBreakerTransitionCounter.inc({ endpoint, from, to });
+        console.warn(`⚡ Circuit breaker ${endpoint}: ${from} → ${to} (${reason})`);
+    }
+});
+Object.keys(DUIX_ENDPOINTS).forEach(name => circuitBreakers.get(name));
+
+// Main DUIX API breaker used by callDUIXServiceWithToken
+const duixApiCircuitBreaker = circuitBreakers.get('GET_CONCURRENT_NUMBER');
+
+// Runs an upstream call behind its endpoint's breaker; rejects with code
+// CIRCUIT_OPEN without calling upstream while the breaker is open or all of
+// its half-open probe slots are taken
+async function callUpstreamWithBreaker(endpointName, call) {
+    const breaker = circuitBreakers.get(endpointName);
+    if (!breaker.canAttempt()) {
+        const error = new Error(`Circuit breaker OPEN for ${endpointName}`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+    }
+    try {
+        const response = await call();
+        breaker.recordSuccess();
+        return response;
+    } catch (error) {
+        breaker.recordFailure(error);
+        throw error;
+    }
+}
+
+if (process.env.FAULT_INJECTION) {
+    try {
+        avatarProvider.configure(loadJsonConfig(process.env.FAULT_INJECTION));
+        console.warn(`💥 Fault injection ENABLED for: ${Object.keys(avatarProvider.config.endpoints).join(', ') || 'no endpoints'}`);
+    } catch (error) {
+        console.error(`❌ Invalid FAULT_INJECTION config: ${error.message}`);
+        process.exit(1);
+    }
+}
+
 // ✅ PRODUCTION JWT TOKEN GENERATION
-function createDUIXToken(appId, appKey, sigExp = TOKEN_EXPIRY) {
+// Extra claims (e.g. conversationId) scope a vended sign to one conversation
+function createDUIXToken(appId, appKey, sigExp = TOKEN_EXPIRY, claims = {}) {
     const now = Date.now();
     const currentTimeSeconds = Math.floor(now / 1000);
     const expirationTimeSeconds = currentTimeSeconds + sigExp;
@@ -289,6 +600,7 @@ function createDUIXToken(appId, appKey, sigExp = TOKEN_EXPIRY) {
     }
     
     const payload = {
+        ...claims,
         appId: appId,
         iat: currentTimeSeconds,
         exp: expirationTimeSeconds
@@ -297,6 +609,168 @@ function createDUIXToken(appId, appKey, sigExp = TOKEN_EXPIRY) {
     return jwt.sign(payload, appKey, { algorithm: 'HS256' });
 }
 
+// ✅ TOKEN VENDING - Browsers get short-lived signs without ever seeing DUIX_APP_KEY
+// SIGN_API_KEYS (inline JSON or file path) maps user ids to API keys, see
+// lib/token-vending.js. Without it the sign endpoint stays open in
+// development and is disabled in production.
+let signApiKeys = {};
+if (process.env.SIGN_API_KEYS) {
+    try {
+        signApiKeys = loadJsonConfig(process.env.SIGN_API_KEYS);
+    } catch (error) {
+        console.error(`❌ Invalid SIGN_API_KEYS config: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const auditLog = new AuditLog({
+    filePath: process.env.AUDIT_LOG_DISABLED === 'true'
+        ? null
+        : process.env.AUDIT_LOG_PATH || path.join(__dirname, 'data', 'audit.jsonl')
+});
+
+let tokenVending;
+try {
+    tokenVending = new TokenVendingService({
+        apiKeys: signApiKeys,
+        sessionSecret: process.env.SESSION_SECRET,
+        sessionTtlSeconds: parseInt(process.env.SESSION_TTL) || 43200, // 12 hours
+        signTtlSeconds: parseInt(process.env.SIGN_TTL) || 300, // 5 minutes
+        quotaPerHour: parseInt(process.env.SIGN_QUOTA_PER_HOUR) || 60,
+        auditLog,
+        secureCookies: IS_PRODUCTION
+    });
+} catch (error) {
+    console.error(`❌ Invalid SIGN_API_KEYS config: ${error.message}`);
+    process.exit(1);
+}
+
+for (const user of tokenVending.users) {
+    if (user.tenant && !tenants.get(user.tenant)) {
+        console.error(`❌ Invalid SIGN_API_KEYS config: ${user.userId}: unknown tenant "${user.tenant}"`);
+        process.exit(1);
+    }
+}
+
+if (tokenVending.enabled) {
+    console.log(`🎟️  Token vending enabled for ${tokenVending.users.length} API key(s), sign TTL ${tokenVending.signTtlSeconds}s`);
+    if (!process.env.SESSION_SECRET) {
+        console.warn('⚠️  SESSION_SECRET not set - session cookies will not survive restarts or work across instances');
+    }
+}
+
+// Attaches req.caller ({ user, method }) or rejects. With no API keys configured,
+// development callers are treated as a shared anonymous user.
+const requireSignCaller = (req, res, next) => {
+    if (!tokenVending.enabled) {
+        if (IS_PRODUCTION) {
+            signRequestCounter.inc({ outcome: 'disabled' });
+            return res.status(403).json({
+                success: false,
+                error: 'Token vending disabled - set SIGN_API_KEYS to enable it'
+            });
+        }
+        req.caller = { user: { userId: 'anonymous' }, method: 'none' };
+        return next();
+    }
+    
+    const caller = tokenVending.authenticate(req);
+    if (!caller) {
+        signRequestCounter.inc({ outcome: 'unauthenticated' });
+        auditLog.record('sign.denied', { reason: 'unauthenticated', ip: req.ip });
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required - send X-API-Key or sign in via POST /api/auth/session'
+        });
+    }
+    
+    req.caller = caller;
+    next();
+};
+
+// Resolves req.tenant from X-Tenant-Id, appId, the caller's (or admin key's) bound tenant or the
+// Origin header, then enforces the tenant's allowed origins and request budget
+const withTenant = (req, res, next) => {
+    const origin = req.get('Origin');
+    const { tenant, status, error } = tenants.resolve({
+        tenantId: req.get('X-Tenant-Id'),
+        appId: req.query.appId || (req.body && req.body.appId),
+        boundTenantId: (req.caller && req.caller.user.tenant) || (req.admin && req.admin.tenant),
+        origin
+    });
+    
+    if (!tenant) {
+        return res.status(status).json({ success: false, error });
+    }
+    
+    // Same-origin requests come from our own pages and are always allowed
+    const sameOrigin = origin && origin.replace(/^https?:\/\//, '') === req.get('Host');
+    if (origin && !sameOrigin && !tenants.isOriginAllowed(tenant, origin)) {
+        console.warn(`Rejected origin ${origin} for tenant ${tenant.id}`);
+        return res.status(403).json({
+            success: false,
+            error: `Origin not allowed for tenant "${tenant.id}"`
+        });
+    }
+    
+    const budget = tenants.consume(tenant);
+    if (!budget.allowed) {
+        rateLimitRejectionCounter.inc({ limiter: `tenant:${tenant.id}` });
+        res.set('Retry-After', String(budget.retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            error: `Too many requests for tenant "${tenant.id}"`
+        });
+    }
+    
+    req.tenant = tenant;
+    next();
+};
+
+// ✅ SESSION SLOTS - Ration DUIX concurrency per tenant (see lib/session-slots.js)
+// Capacity is the tenant's maxSessions, else SESSION_SLOTS_MAX. Leases outlive
+// each sign by SESSION_SLOT_LEASE_GRACE seconds, so a page that stops
+// refreshing its sign loses the slot shortly after the sign expires.
+// Pages also heartbeat every SESSION_HEARTBEAT_INTERVAL seconds; a session
+// silent for SESSION_IDLE_TIMEOUT seconds (a closed tab) is reaped.
+const SESSION_SLOTS_MAX = parseInt(process.env.SESSION_SLOTS_MAX) || 2;
+const SESSION_SLOT_LEASE_GRACE = parseInt(process.env.SESSION_SLOT_LEASE_GRACE) || 60;
+const SESSION_HEARTBEAT_INTERVAL = parseInt(process.env.SESSION_HEARTBEAT_INTERVAL) || 20;
+const SESSION_IDLE_TIMEOUT = Math.max(parseInt(process.env.SESSION_IDLE_TIMEOUT) || 90, SESSION_HEARTBEAT_INTERVAL * 2);
+const REAPED_REASONS = ['idle', 'lease_expired'];
+
+const sessionSlots = new SessionSlotManager({
+    capacityFor: (tenantId) => (tenants.get(tenantId) || {}).maxSessions || SESSION_SLOTS_MAX,
+    maxQueueLength: parseInt(process.env.SESSION_QUEUE_MAX) || 50,
+    claimTimeoutMs: (parseInt(process.env.SESSION_SLOT_CLAIM_TIMEOUT) || 60) * 1000,
+    idleTimeoutMs: SESSION_IDLE_TIMEOUT * 1000,
+    onRelease: (slot, reason) => {
+        slotReleaseCounter.inc({ reason });
+        console.log(`🎫 Slot released for tenant ${slot.tenantId} (${reason}), conversation ${slot.conversationId}`);
+        
+        if (REAPED_REASONS.includes(reason)) {
+            sessionReapedCounter.inc({ tenant: slot.tenantId, reason });
+            auditLog.record('session.reaped', {
+                reason,
+                tenant: slot.tenantId,
+                conversationId: slot.conversationId,
+                userId: slot.userId,
+                sessionUuid: slot.sessionUuid,
+                idleSeconds: Math.round((Date.now() - slot.lastHeartbeatAt) / 1000)
+            });
+        }
+        
+        // Free the upstream concurrency slot too when we know the DUIX session
+        // (after close-all-sessions there is nothing left upstream to stop)
+        const tenant = tenants.get(slot.tenantId);
+        if (slot.sessionUuid && tenant && reason !== 'closed_all') {
+            const token = createDUIXToken(tenant.appId, tenant.appKey);
+            callUpstreamWithBreaker('SESSION_STOP', () => avatarProvider.stopSession({ uuid: slot.sessionUuid, token }))
+                .catch(error => console.warn(`⚠️  SESSION_STOP for released slot failed: ${error.code || error.message}`));
+        }
+    }
+});
+
 // ✅ PRODUCTION ERROR HANDLING
 const handleError = (error, req, res, operation) => {
     const errorId = Date.now().toString(36);
@@ -323,6 +797,88 @@ const handleError = (error, req, res, operation) => {
     res.status(500).json(sanitizedError);
 };
 
+// ✅ ADMIN AUTHENTICATION - Role-based API keys (see lib/admin-auth.js)
+// Keys come from ADMIN_API_KEYS (inline JSON or file path, SHA-256 digests only)
+// as a Bearer token or X-Admin-Token header. The legacy ADMIN_TOKEN still works
+// as an admin-role key. With neither configured, admin routes stay open in
+// development and are disabled in production.
+let adminKeys;
+try {
+    adminKeys = new AdminKeyStore(process.env.ADMIN_API_KEYS ? loadJsonConfig(process.env.ADMIN_API_KEYS) : undefined);
+    for (const key of adminKeys.keys) {
+        if (key.tenant && !tenants.get(key.tenant)) {
+            throw new Error(`${key.id}: unknown tenant "${key.tenant}"`);
+        }
+    }
+} catch (error) {
+    console.error(`❌ Invalid ADMIN_API_KEYS config: ${error.message}`);
+    process.exit(1);
+}
+
+if (adminKeys.size > 0) {
+    console.log(`🔐 Admin API keys loaded: ${adminKeys.size}`);
+}
+
+function authenticateAdmin(req) {
+    const authorization = req.get('Authorization') || '';
+    const presented = authorization.startsWith('Bearer ') ? authorization.slice(7) : (req.get('X-Admin-Token') || '');
+    
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (adminToken) {
+        const expected = Buffer.from(adminToken);
+        const actual = Buffer.from(presented);
+        if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+            return { id: 'admin-token', role: 'admin', tenant: null };
+        }
+    }
+    
+    return adminKeys.verify(presented);
+}
+
+// Middleware factory: requireRole('operator') admits operator and admin keys.
+// Routes with { global: true } change state shared by every tenant, so keys
+// bound to one tenant are refused there whatever their role.
+const requireRole = (role, { global = false } = {}) => (req, res, next) => {
+    if (adminKeys.size === 0 && !process.env.ADMIN_TOKEN) {
+        if (IS_PRODUCTION) {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin endpoints disabled - set ADMIN_API_KEYS or ADMIN_TOKEN to enable them'
+            });
+        }
+        req.admin = { id: 'development', role: 'admin', tenant: null };
+        return next();
+    }
+    
+    const admin = authenticateAdmin(req);
+    if (!admin) {
+        console.warn(`Rejected admin request from IP: ${req.ip}`);
+        return res.status(401).json({
+            success: false,
+            error: 'Valid admin API key required'
+        });
+    }
+    
+    if (!AdminKeyStore.hasRole(admin.role, role)) {
+        auditLog.record('admin.forbidden', { keyId: admin.id, role: admin.role, required: role, path: req.path, ip: req.ip });
+        return res.status(403).json({
+            success: false,
+            error: `This action requires the ${role} role`
+        });
+    }
+    
+    if (global && admin.tenant) {
+        auditLog.record('admin.forbidden', { keyId: admin.id, role: admin.role, tenant: admin.tenant, required: 'global', path: req.path, ip: req.ip });
+        return res.status(403).json({
+            success: false,
+            error: 'This action affects every tenant - use an admin key that is not bound to a tenant'
+        });
+    }
+    
+    req.admin = admin;
+    next();
+};
+
 // ✅ PRODUCTION ROUTES
 
 // ✅ AWS ELB/ALB COMPATIBLE HEALTH CHECKS
@@ -344,6 +900,19 @@ app.get('/ping', (req, res) => {
     res.status(200).send('pong');
 });
 
+// Prometheus scrape endpoint - optionally protected by METRICS_TOKEN
+// Both sides are hashed first, so the constant-time compare sees equal lengths
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN
+        && !crypto.timingSafeEqual(sha256(req.get('Authorization') || ''), sha256(`Bearer ${process.env.METRICS_TOKEN}`))) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // AWS ECS/ELB health check (detailed)
 app.get('/healthz', async (req, res) => {
     try {
@@ -360,24 +929,16 @@ app.get('/healthz', async (req, res) => {
 
         // Optional DUIX API connectivity check (non-blocking)
         try {
-            const token = createDUIXToken(DUIX_APP_ID, DUIX_APP_KEY);
-            const customAgent = createHTTPSAgent('duix_api');
+            const { appId, appKey } = tenants.defaultTenant;
+            const token = createDUIXToken(appId, appKey);
             
-            const response = await axios({
-                method: 'GET',
-                url: `${DUIX_API_URL}${DUIX_ENDPOINTS.GET_CONCURRENT_NUMBER}`,
-                params: { appId: DUIX_APP_ID },
-                headers: {
-                    'Token': token,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'DUIX-Health-Check/1.0'
-                },
-                httpsAgent: customAgent,
-                timeout: 5000, // Quick health check
-                validateStatus: (status) => status < 500
+            const response = await avatarProvider.getConcurrentNumber({
+                appId,
+                token,
+                userAgent: 'DUIX-Health-Check/1.0',
+                timeout: 5000 // Quick health check
             });
             
-            customAgent.destroy();
             healthStatus.checks.duix_api = response.status === 200 ? 'ok' : 'degraded';
             
         } catch (error) {
@@ -407,115 +968,447 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Latency dashboard for demos
+app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
 // ✅ PRODUCTION DUIX API ENDPOINTS
 
-// DUIX Sign endpoint - Production secure version
-app.get('/api/duix/sign', (req, res) => {
+// Exchange an API key for an HttpOnly session cookie (browser sign-in)
+app.post('/api/auth/session', (req, res) => {
     try {
-        const { conversationId } = req.query;
+        if (!tokenVending.enabled) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sessions are not enabled - set SIGN_API_KEYS to enable them'
+            });
+        }
         
-        if (IS_PRODUCTION) {
-            return res.status(403).json({
+        const user = tokenVending.findUserByKey(req.body && req.body.apiKey);
+        if (!user) {
+            auditLog.record('session.denied', { ip: req.ip });
+            return res.status(401).json({
                 success: false,
-                error: 'Token generation endpoint disabled in production',
-                message: 'Clients must generate their own JWT tokens in production'
+                error: 'Invalid API key'
             });
         }
         
-        const token = createDUIXToken(DUIX_APP_ID, DUIX_APP_KEY);
+        const { token, expiresAt } = tokenVending.createSession(user);
+        auditLog.record('session.created', { userId: user.userId, ip: req.ip });
         
+        res.set('Set-Cookie', tokenVending.sessionCookie(token));
         res.json({
             success: true,
-            sign: token,
-            conversationId: conversationId || `${Date.now()}`,
-            warning: 'Development only - use client-side token generation in production'
+            userId: user.userId,
+            expiresAt: expiresAt.toISOString()
         });
         
     } catch (error) {
-        handleError(error, req, res, 'DUIX Sign');
+        handleError(error, req, res, 'Create Session');
     }
 });
 
-// Test latency endpoint - Production secured
-app.post('/api/test-latency', async (req, res) => {
-    const startTime = Date.now();
-    
+app.delete('/api/auth/session', (req, res) => {
+    res.set('Set-Cookie', tokenVending.clearSessionCookie());
+    res.json({ success: true });
+});
+
+// DUIX Sign endpoint - short-lived sign scoped to one conversation
+app.get('/api/duix/sign', requireSignCaller, withTenant, async (req, res) => {
     try {
-        const { question, token } = req.body;
+        const { conversationId, slotId } = req.query;
+        const { user, method } = req.caller;
+        const { tenant } = req;
         
-        if (!question || typeof question !== 'string') {
+        if (!conversationId || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+            signRequestCounter.inc({ outcome: 'invalid' });
             return res.status(400).json({
                 success: false,
-                error: 'Question parameter is required and must be a string',
-                latency: Date.now() - startTime
+                error: 'conversationId is required (letters, digits, "_" or "-", up to 64 characters)'
             });
         }
         
-        if (!token) {
-            return res.status(400).json({
+        const quota = tokenVending.quota.check(user.userId, user.quotaPerHour);
+        if (tokenVending.enabled && quota.remaining === 0) {
+            signRequestCounter.inc({ outcome: 'quota_exceeded' });
+            auditLog.record('sign.denied', { reason: 'quota_exceeded', userId: user.userId, tenant: tenant.id, conversationId, ip: req.ip });
+            res.set('Retry-After', String(quota.retryAfterSeconds));
+            return res.status(429).json({
                 success: false,
-                error: 'Token is required - clients must provide JWT tokens',
-                latency: Date.now() - startTime
+                error: `Sign quota of ${quota.limit} per hour exceeded`,
+                retryAfterSeconds: quota.retryAfterSeconds
             });
         }
         
-        // Call DUIX API with client token
-        const response = await callDUIXServiceWithToken(question, DUIX_API_URL, DUIX_APP_ID, token);
+        // Hold a concurrency slot for as long as the sign is being refreshed:
+        // a granted slot from the queue, or a free one taken on the spot
+        const timing = tokenVending.signTiming();
+        const leaseMs = (timing.expiresIn + SESSION_SLOT_LEASE_GRACE) * 1000;
+        const acquired = slotId ? { slot: { id: slotId } } : sessionSlots.acquire(tenant.id, { conversationId, userId: user.userId }, { queue: false });
+        if (!acquired.slot) {
+            signRequestCounter.inc({ outcome: 'no_slot' });
+            return res.status(503).json({
+                success: false,
+                error: 'All avatar session slots are in use - queue for one via POST /api/slots',
+                queue: '/api/slots'
+            });
+        }
+        const claimed = sessionSlots.claim(acquired.slot.id, { tenantId: tenant.id, userId: user.userId, conversationId, leaseMs });
+        if (claimed.error) {
+            signRequestCounter.inc({ outcome: 'invalid_slot' });
+            return res.status(claimed.status).json({ success: false, error: claimed.error });
+        }
         
-        const endTime = Date.now();
-        const latency = endTime - startTime;
+        // The mock provider opens a session here, as the SDK would with DUIX
+        if (!claimed.slot.sessionUuid) {
+            const session = await avatarProvider.registerSession({ appId: tenant.appId, conversationId });
+            if (session) sessionSlots.attachSession(claimed.slot.id, session.uuid);
+        }
+        
+        const signId = crypto.randomUUID();
+        const token = createDUIXToken(tenant.appId, tenant.appKey, timing.expiresIn, { conversationId, jti: signId });
+        if (tokenVending.enabled) tokenVending.quota.consume(user.userId);
+        
+        signRequestCounter.inc({ outcome: 'issued' });
+        auditLog.record('sign.issued', {
+            signId,
+            userId: user.userId,
+            tenant: tenant.id,
+            authMethod: method,
+            conversationId,
+            slotId: claimed.slot.id,
+            expiresIn: timing.expiresIn,
+            ip: req.ip
+        });
         
         res.json({
             success: true,
-            question,
-            response: response.data,
-            latency,
-            timestamp: new Date().toISOString(),
-            session_id: response.session_id
+            sign: token,
+            conversationId,
+            tenant: tenant.id,
+            appId: tenant.appId,
+            slotId: claimed.slot.id,
+            heartbeatIntervalSeconds: SESSION_HEARTBEAT_INTERVAL,
+            idleTimeoutSeconds: SESSION_IDLE_TIMEOUT,
+            ...timing,
+            quota: tokenVending.enabled ? { limit: quota.limit, remaining: quota.remaining - 1 } : null
         });
         
     } catch (error) {
-        handleError(error, req, res, 'Test Latency');
+        handleError(error, req, res, 'DUIX Sign');
     }
 });
 
-// ✅ Real-time latency measurement endpoint
-app.post('/api/measure-latency', async (req, res) => {
-    const serverReceiveTime = Date.now();
-    
+// Remaining validity of a sign issued by this server; the sign travels in the
+// body so it stays out of URLs and access logs
+app.post('/api/duix/sign/validity', (req, res) => {
     try {
-        const { 
-            clientSendTime, 
-            measurementType = 'ping',
-            sessionId,
-            userAgent 
-        } = req.body;
-        
-        const serverProcessTime = Date.now();
+        const sign = req.body && req.body.sign;
+        if (!sign || typeof sign !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'sign is required'
+            });
+        }
         
-        // Calculate network latency components
-        const networkLatency = serverReceiveTime - clientSendTime;
-        const serverProcessingTime = serverProcessTime - serverReceiveTime;
+        // The appId claim says which tenant's key the sign must verify against
+        const decoded = jwt.decode(sign);
+        const tenant = decoded && decoded.appId ? tenants.byAppId(decoded.appId) : null;
         
-        // SSL/TLS overhead measurement
-        const sslOverhead = req.secure ? 'HTTPS' : 'HTTP';
+        let claims;
+        try {
+            if (!tenant) throw new Error('Unknown appId');
+            claims = jwt.verify(sign, tenant.appKey, { algorithms: ['HS256'], ignoreExpiration: true });
+        } catch (error) {
+            return res.json({
+                success: true,
+                valid: false,
+                reason: 'invalid_signature'
+            });
+        }
         
-        // AWS region detection
-        const awsRegion = process.env.AWS_REGION || 'local';
+        // Signs from this server always carry both; Date can't represent values past ±8.64e12 s
+        const isEpochSeconds = (value) => Number.isFinite(value) && Math.abs(value) <= 8.64e12;
+        if (!isEpochSeconds(claims.exp) || !isEpochSeconds(claims.iat)) {
+            return res.status(400).json({
+                success: false,
+                error: 'token has no expiry'
+            });
+        }
         
-        const latencyData = {
+        const remainingSeconds = claims.exp - Math.floor(Date.now() / 1000);
+        res.json({
             success: true,
-            timestamp: new Date().toISOString(),
-            measurements: {
-                clientSendTime,
-                serverReceiveTime,
-                serverProcessTime,
-                networkLatency,
-                serverProcessingTime,
-                totalRoundTrip: serverProcessTime - clientSendTime
-            },
-            environment: {
-                ssl: sslOverhead,
+            valid: remainingSeconds > 0,
+            reason: remainingSeconds > 0 ? null : 'expired',
+            tenant: tenant.id,
+            conversationId: claims.conversationId || null,
+            issuedAt: new Date(claims.iat * 1000).toISOString(),
+            expiresAt: new Date(claims.exp * 1000).toISOString(),
+            remainingSeconds: Math.max(remainingSeconds, 0)
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Sign Validity');
+    }
+});
+
+// ✅ SESSION SLOT QUEUE - Wait for a free avatar session slot
+// Slot and ticket ids are unguessable, and the routes below additionally
+// require the caller to be the tenant and user that reserved them.
+const SLOT_EVENTS_HEARTBEAT_MS = 15000;
+
+app.post('/api/slots', requireSignCaller, withTenant, (req, res) => {
+    try {
+        const conversationId = req.body && req.body.conversationId;
+        const { user } = req.caller;
+        const { tenant } = req;
+        
+        if (!conversationId || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'conversationId is required (letters, digits, "_" or "-", up to 64 characters)'
+            });
+        }
+        
+        let acquired;
+        try {
+            acquired = sessionSlots.acquire(tenant.id, { conversationId, userId: user.userId });
+        } catch (error) {
+            if (error.code !== 'QUEUE_FULL') throw error;
+            res.set('Retry-After', '30');
+            return res.status(503).json({
+                success: false,
+                error: 'The session queue is full - try again shortly'
+            });
+        }
+        
+        if (acquired.slot) {
+            return res.json({
+                success: true,
+                status: 'granted',
+                slotId: acquired.slot.id,
+                claimBy: new Date(acquired.slot.leaseExpiresAt).toISOString()
+            });
+        }
+        
+        console.log(`🎫 Queued conversation ${conversationId} for tenant ${tenant.id} at position ${acquired.position}`);
+        res.status(202).json({
+            success: true,
+            status: 'queued',
+            ticketId: acquired.ticket.id,
+            position: acquired.position,
+            queueLength: sessionSlots.queueFor(tenant.id).length,
+            events: `/api/slots/tickets/${acquired.ticket.id}/events`
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Session Slot');
+    }
+});
+
+const slotOwner = (req) => ({ tenantId: req.tenant.id, userId: req.caller.user.userId });
+
+const findTicket = (req, res) => {
+    const ticket = sessionSlots.ownedTicket(req.params.ticketId, slotOwner(req));
+    if (!ticket) {
+        res.status(404).json({ success: false, error: 'Unknown or expired queue ticket' });
+        return null;
+    }
+    return ticket;
+};
+
+const findSlot = (req, res) => {
+    const slot = sessionSlots.owned(req.params.slotId, slotOwner(req));
+    if (!slot) {
+        res.status(404).json({ success: false, error: 'Unknown or expired slot' });
+        return null;
+    }
+    return slot;
+};
+
+// Live queue position (SSE): position, granted and expired events
+app.get('/api/slots/tickets/:ticketId/events', requireSignCaller, withTenant, (req, res) => {
+    const ticket = findTicket(req, res);
+    if (!ticket) return;
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    res.write(`retry: 5000\n\n`);
+    const unsubscribe = sessionSlots.subscribe(ticket.id, send);
+    const heartbeatTimer = setInterval(() => {
+        send('heartbeat', { timestamp: new Date().toISOString() });
+    }, SLOT_EVENTS_HEARTBEAT_MS);
+    
+    req.on('close', () => {
+        if (unsubscribe) unsubscribe();
+        clearInterval(heartbeatTimer);
+    });
+});
+
+app.delete('/api/slots/tickets/:ticketId', requireSignCaller, withTenant, (req, res) => {
+    const ticket = findTicket(req, res);
+    if (!ticket) return;
+    
+    if (ticket.slotId) {
+        sessionSlots.release(ticket.slotId, 'released');
+    } else {
+        sessionSlots.leaveQueue(ticket.id);
+    }
+    res.json({ success: true, ticketId: ticket.id });
+});
+
+// Records the DUIX session uuid so releasing the slot also stops the session upstream
+app.put('/api/slots/:slotId', requireSignCaller, withTenant, (req, res) => {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+    
+    const sessionUuid = req.body && req.body.sessionUuid;
+    if (!sessionUuid || typeof sessionUuid !== 'string' || sessionUuid.length > 128) {
+        return res.status(400).json({ success: false, error: 'sessionUuid is required' });
+    }
+    
+    sessionSlots.attachSession(slot.id, sessionUuid);
+    res.json({ success: true, slotId: slot.id, sessionUuid });
+});
+
+// Liveness from an open page; a 404 tells the page its session was reaped
+app.post('/api/slots/:slotId/heartbeat', requireSignCaller, withTenant, (req, res) => {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+    
+    sessionSlots.heartbeat(slot.id);
+    res.json({ success: true, slotId: slot.id, idleTimeoutSeconds: SESSION_IDLE_TIMEOUT });
+});
+
+app.delete('/api/slots/:slotId', requireSignCaller, withTenant, (req, res) => {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+    
+    sessionSlots.release(slot.id, 'released');
+    res.json({ success: true, slotId: slot.id });
+});
+
+// navigator.sendBeacon can only POST, so closing tabs release through here
+app.post('/api/slots/:slotId/release', requireSignCaller, withTenant, (req, res) => {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+    
+    sessionSlots.release(slot.id, 'unload');
+    res.json({ success: true, slotId: slot.id });
+});
+
+// Test latency endpoint - Production secured
+app.post('/api/test-latency', withTenant, async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { question, token } = req.body;
+        
+        if (!question || typeof question !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Question parameter is required and must be a string',
+                latency: Date.now() - startTime
+            });
+        }
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Token is required - clients must provide JWT tokens',
+                latency: Date.now() - startTime
+            });
+        }
+        
+        // Call DUIX API with client token
+        const response = await callDUIXServiceWithToken(question, DUIX_API_URL, req.tenant.appId, token);
+        
+        const endTime = Date.now();
+        const latency = endTime - startTime;
+        
+        res.json({
+            success: true,
+            question,
+            response: response.data,
+            latency,
+            timestamp: new Date().toISOString(),
+            session_id: response.session_id
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Test Latency');
+    }
+});
+
+// ✅ Real-time latency measurement endpoint
+// Doubles as the server side of the page's NTP-style clock sync: the client
+// stamps t0 (clientSendTime) and t3 (on receipt), the server stamps t1
+// (serverReceiveTime) and t2 (serverTransmitTime, taken as late as possible).
+// Without clockOffset the one-way figures include the client's clock skew.
+app.post('/api/measure-latency', async (req, res) => {
+    const serverReceiveTime = Date.now();
+    
+    try {
+        const { 
+            clientSendTime, 
+            clockOffset,
+            measurementType = 'ping',
+            sample,
+            samples,
+            sessionId,
+            userAgent 
+        } = req.body;
+        
+        if (!Number.isFinite(clientSendTime)) {
+            return res.status(400).json({
+                success: false,
+                error: 'clientSendTime must be the client clock in epoch milliseconds'
+            });
+        }
+        
+        // Estimated server clock minus client clock, from an earlier sync
+        const corrected = Number.isFinite(clockOffset);
+        const clientSendServerTime = corrected ? clientSendTime + clockOffset : clientSendTime;
+        
+        const serverProcessTime = Date.now();
+        
+        // Calculate network latency components
+        const networkLatency = Math.round(serverReceiveTime - clientSendServerTime);
+        const serverProcessingTime = serverProcessTime - serverReceiveTime;
+        
+        // SSL/TLS overhead measurement
+        const sslOverhead = req.secure ? 'HTTPS' : 'HTTP';
+        
+        // AWS region detection
+        const awsRegion = process.env.AWS_REGION || 'local';
+        
+        const latencyData = {
+            success: true,
+            timestamp: new Date().toISOString(),
+            measurements: {
+                clientSendTime,
+                serverReceiveTime,
+                serverProcessTime,
+                serverTransmitTime: null,
+                networkLatency,
+                serverProcessingTime,
+                totalRoundTrip: Math.round(serverProcessTime - clientSendServerTime),
+                clockOffset: corrected ? clockOffset : null,
+                clockCorrected: corrected
+            },
+            environment: {
+                ssl: sslOverhead,
                 region: awsRegion,
                 nodeVersion: process.version,
                 isProduction: IS_PRODUCTION
@@ -527,22 +1420,29 @@ app.post('/api/measure-latency', async (req, res) => {
             }
         };
         
+        // Clock sync bursts are logged once, on their last sample
+        const logged = measurementType !== 'clock_sync' || !Number.isInteger(samples) || sample === samples - 1;
+        
         // Log latency for monitoring (production CloudWatch)
-        if (IS_PRODUCTION) {
+        if (logged && IS_PRODUCTION) {
             console.log(JSON.stringify({
                 level: 'info',
                 message: 'Latency measurement',
                 networkLatency,
                 serverProcessingTime,
                 totalRoundTrip: latencyData.measurements.totalRoundTrip,
+                clockCorrected: corrected,
+                clockOffset: latencyData.measurements.clockOffset,
                 region: awsRegion,
                 sessionId,
                 timestamp: new Date().toISOString()
             }));
-        } else {
-            console.log(`⏱️ Server Latency - Network: ${networkLatency}ms, Processing: ${serverProcessingTime}ms, Total: ${latencyData.measurements.totalRoundTrip}ms`);
+        } else if (logged) {
+            const uplink = corrected ? `Uplink: ${networkLatency}ms (offset ${Math.round(clockOffset)}ms)` : `Uplink: ${networkLatency}ms (uncorrected for clock skew)`;
+            console.log(`⏱️ Server Latency - ${uplink}, Processing: ${serverProcessingTime}ms`);
         }
         
+        latencyData.measurements.serverTransmitTime = Date.now();
         res.json(latencyData);
         
     } catch (error) {
@@ -560,41 +1460,364 @@ app.post('/api/measure-latency', async (req, res) => {
     }
 });
 
-// ✅ AWS-OPTIMIZED DUIX SERVICE with CIRCUIT BREAKER PATTERN
-let duixApiCircuitBreaker = {
-    failures: 0,
-    lastFailureTime: 0,
-    state: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
-    failureThreshold: 5,
-    recoveryTimeoutMs: 60000 // 1 minute
-};
-
-function updateCircuitBreaker(success) {
-    if (success) {
-        duixApiCircuitBreaker.failures = 0;
-        duixApiCircuitBreaker.state = 'CLOSED';
-    } else {
-        duixApiCircuitBreaker.failures++;
-        duixApiCircuitBreaker.lastFailureTime = Date.now();
-        if (duixApiCircuitBreaker.failures >= duixApiCircuitBreaker.failureThreshold) {
-            duixApiCircuitBreaker.state = 'OPEN';
+// ✅ LATENCY HISTORY - Persist per-turn speech-to-speech measurements
+// Turns carry recognized and response text, so history, export and the live
+// stream only serve the caller's own tenant
+app.post('/api/latency', requireSignCaller, withTenant, (req, res) => {
+    try {
+        const measurements = Array.isArray(req.body.measurements) ? req.body.measurements : [req.body];
+        
+        if (measurements.length === 0 || measurements.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Between 1 and 100 measurements are accepted per request'
+            });
+        }
+        
+        const context = {
+            tenant: req.tenant.id,
+            region: process.env.AWS_REGION || 'local',
+            userAgent: req.get('User-Agent')
+        };
+        
+        let stored;
+        try {
+            // Nothing from the batch is stored if any measurement is invalid
+            stored = latencyStore.addAll(measurements, context);
+        } catch (validationError) {
+            if (validationError.code !== 'INVALID_MEASUREMENT') throw validationError;
+            return res.status(400).json({
+                success: false,
+                error: validationError.message,
+                stored: 0
+            });
         }
+        
+        res.status(201).json({
+            success: true,
+            stored: stored.length,
+            ids: stored.map(record => record.id),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Store Latency');
+    }
+});
+
+// Shared by history and export: returns { error } or { filters }
+function parseLatencyFilters(query, maxLimit) {
+    // Repeated (?a=1&a=2) or bracketed (?a[b]=1) parameters arrive as arrays or objects
+    const repeated = ['sessionId', 'conversationId', 'language', 'input', 'stage', 'from', 'to', 'limit']
+        .find(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (repeated) {
+        return { error: `${repeated} must be a single value` };
+    }
+    
+    const { sessionId, conversationId, language, input, stage, from, to } = query;
+    const limit = Math.min(parseInt(query.limit) || 500, maxLimit);
+    
+    if (stage && !LATENCY_STAGES.includes(stage)) {
+        return { error: `Unknown stage "${stage}" - expected one of ${LATENCY_STAGES.join(', ')}` };
     }
+    
+    if (input && !INPUT_MODES.includes(input)) {
+        return { error: `Unknown input "${input}" - expected one of ${INPUT_MODES.join(', ')}` };
+    }
+    
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return { error: 'from and to must be ISO-8601 timestamps' };
+    }
+    
+    return { filters: { sessionId, conversationId, language, input, stage, from, to, limit } };
 }
 
-function shouldAttemptDuixCall() {
-    const now = Date.now();
-    if (duixApiCircuitBreaker.state === 'CLOSED') return true;
-    if (duixApiCircuitBreaker.state === 'OPEN') {
-        if (now - duixApiCircuitBreaker.lastFailureTime > duixApiCircuitBreaker.recoveryTimeoutMs) {
-            duixApiCircuitBreaker.state = 'HALF_OPEN';
-            return true;
+app.get('/api/latency/history', requireSignCaller, withTenant, (req, res) => {
+    try {
+        const { error, filters } = parseLatencyFilters(req.query, 5000);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        return false;
+        
+        const records = latencyStore.query({ ...filters, tenant: req.tenant.id });
+        
+        res.json({
+            success: true,
+            count: records.length,
+            filters,
+            measurements: records,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Latency History');
     }
-    return true; // HALF_OPEN
-}
+});
+
+// Download stored turns as CSV, JSON or a HAR-like timeline
+app.get('/api/latency/export', requireSignCaller, withTenant, (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (typeof format !== 'string' || !hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown format "${format}" - expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+        
+        const { error, filters } = parseLatencyFilters({ limit: String(LATENCY_HISTORY_MAX), ...req.query }, LATENCY_HISTORY_MAX);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const records = latencyStore.query({ ...filters, tenant: req.tenant.id });
+        const scope = (filters.conversationId || filters.sessionId || 'all').replace(/[^A-Za-z0-9_-]/g, '_');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        
+        const exportFormat = EXPORT_FORMATS[format];
+        res.set('Content-Type', exportFormat.contentType);
+        res.set('Content-Disposition', `attachment; filename="latency-${scope}-${stamp}.${exportFormat.extension}"`);
+        res.send(renderExport(format, records, filters));
+        
+    } catch (error) {
+        handleError(error, req, res, 'Latency Export');
+    }
+});
 
+// groupBy dimension -> response key
+const LATENCY_GROUP_BY = { language: 'languages', input: 'inputs' };
+
+app.get('/api/latency/stats', (req, res) => {
+    try {
+        const { window, conversationId, region, language, input, stage, groupBy } = req.query;
+        
+        if (window && !LATENCY_STATS_WINDOWS.includes(window)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown window "${window}" - expected one of ${LATENCY_STATS_WINDOWS.join(', ')}`
+            });
+        }
+        
+        if (stage && !LATENCY_STAGES.includes(stage)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown stage "${stage}" - expected one of ${LATENCY_STAGES.join(', ')}`
+            });
+        }
+        
+        if (input && !INPUT_MODES.includes(input)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown input "${input}" - expected one of ${INPUT_MODES.join(', ')}`
+            });
+        }
+        
+        // Side-by-side stats for every language (ASR timing differs by
+        // language) or for spoken vs typed questions
+        if (groupBy) {
+            if (typeof groupBy !== 'string' || !hasOwn(LATENCY_GROUP_BY, groupBy)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown groupBy "${groupBy}" - expected one of ${Object.keys(LATENCY_GROUP_BY).join(', ')}`
+                });
+            }
+            return res.json({
+                success: true,
+                groupBy,
+                [LATENCY_GROUP_BY[groupBy]]: Object.fromEntries(latencyStats.groupValues(groupBy).map(value => [
+                    value,
+                    latencyStats.snapshot({ window, [groupBy]: value, stage })
+                ])),
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            scope: conversationId ? { conversationId } : region ? { region } : language ? { language } : input ? { input } : 'all',
+            windows: latencyStats.snapshot({ window, conversationId, region, language, input, stage }),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Latency Stats');
+    }
+});
+
+// ✅ PING CHANNEL - WebSocket ping/pong on /api/ping (see lib/ping-channel.js)
+// Attached to the HTTP server once it listens. PING_CHANNEL_DISABLED=true
+// leaves the page on HTTP probes only.
+const PING_CHANNEL_WINDOWS = ['5m', '1h'];
+const originHost = (origin) => {
+    try {
+        return new URL(origin).host;
+    } catch (error) {
+        return null;
+    }
+};
+const pingRttHistogram = metrics.histogram(
+    'network_ping_rtt_seconds',
+    'WebSocket ping round trips between the server and connected pages',
+    [],
+    [0.005, 0.01, 0.025, 0.05, 0.075, 0.1, 0.15, 0.25, 0.5, 1, 2]
+);
+const pingCounter = metrics.counter(
+    'network_pings_total',
+    'WebSocket pings sent to connected pages, by outcome (answered or lost after PING_TIMEOUT_MS)',
+    ['outcome']
+);
+const pingChannel = WebSocketServer && process.env.PING_CHANNEL_DISABLED !== 'true'
+    ? new PingChannel({
+        WebSocketServer,
+        intervalMs: parseInt(process.env.PING_INTERVAL_MS) || 5000,
+        timeoutMs: parseInt(process.env.PING_TIMEOUT_MS) || 2000,
+        maxClients: parseInt(process.env.PING_MAX_CLIENTS) || 500,
+        windows: PING_CHANNEL_WINDOWS,
+        // Same-origin pages, or origins CORS allows; non-browser clients send no Origin
+        verifyOrigin: (origin, host) => !IS_PRODUCTION || !origin
+            || corsAllowedOrigins().includes(origin)
+            || originHost(origin) === host,
+        // Browsers can't set headers on a WebSocket, so the tenant comes from
+        // ?tenantId= / ?appId= or the Origin, the same way withTenant falls back
+        resolveTenant: (req, url) => {
+            const origin = req.headers.origin;
+            const { tenant, status } = tenants.resolve({
+                tenantId: url.searchParams.get('tenantId'),
+                appId: url.searchParams.get('appId'),
+                origin
+            });
+            if (!tenant) return { status };
+            if (origin && originHost(origin) !== req.headers.host && !tenants.isOriginAllowed(tenant, origin)) {
+                return { status: 403 };
+            }
+            return { tenantId: tenant.id };
+        },
+        onSample: ({ rtt, lost }) => {
+            pingCounter.inc({ outcome: lost ? 'lost' : 'answered' });
+            if (!lost) pingRttHistogram.observe({}, rtt / 1000);
+        }
+    })
+    : null;
+
+metrics.gauge('network_ping_sessions', 'Pages connected to the WebSocket ping channel', [], (gauge) => {
+    gauge.set({}, pingChannel ? pingChannel.sessions.size : 0);
+});
+
+// Rolling RTT/jitter percentiles plus the tenant's connected sessions (presence)
+app.get('/api/latency/network', requireRole('viewer'), withTenant, (req, res) => {
+    try {
+        const { window, conversationId } = req.query;
+        
+        if (!pingChannel) {
+            return res.status(503).json({
+                success: false,
+                error: 'WebSocket ping channel is disabled'
+            });
+        }
+        
+        if (window && !PING_CHANNEL_WINDOWS.includes(window)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown window "${window}" - expected one of ${PING_CHANNEL_WINDOWS.join(', ')}`
+            });
+        }
+        
+        const sessions = pingChannel.presence({ tenantId: req.tenant.id, conversationId });
+        const totals = sessions.reduce((sum, session) => ({
+            sent: sum.sent + session.sent,
+            lost: sum.lost + session.lost,
+            answered: sum.answered + session.received + session.lost
+        }), { sent: 0, lost: 0, answered: 0 });
+        
+        res.json({
+            success: true,
+            intervalMs: pingChannel.intervalMs,
+            timeoutMs: pingChannel.timeoutMs,
+            windows: pingChannel.snapshot({ window }),
+            connected: sessions.length,
+            lossRate: totals.answered ? Math.round(totals.lost / totals.answered * 10000) / 10000 : 0,
+            sessions,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        handleError(error, req, res, 'Network Latency');
+    }
+});
+
+// ✅ LIVE LATENCY STREAM - Server-Sent Events for second-screen monitoring
+// Events: "measurement" per ingested turn, "stats" aggregate snapshots and
+// "heartbeat" events so idle proxies keep the connection open.
+const LATENCY_STREAM_HEARTBEAT_MS = parseInt(process.env.LATENCY_STREAM_HEARTBEAT_MS) || 15000;
+const LATENCY_STREAM_SNAPSHOT_MS = parseInt(process.env.LATENCY_STREAM_SNAPSHOT_MS) || 5000;
+const LATENCY_STREAM_MAX_CLIENTS = parseInt(process.env.LATENCY_STREAM_MAX_CLIENTS) || 100;
+const latencyStreamClients = new Set();
+
+metrics.gauge('latency_stream_subscribers', 'Open /api/latency/stream connections', [], (gauge) => {
+    gauge.set({}, latencyStreamClients.size);
+});
+
+app.get('/api/latency/stream', requireSignCaller, withTenant, (req, res) => {
+    const { conversationId, language, input } = req.query;
+    const window = req.query.window || LATENCY_STATS_WINDOWS[0];
+    
+    if (!LATENCY_STATS_WINDOWS.includes(window)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown window "${window}" - expected one of ${LATENCY_STATS_WINDOWS.join(', ')}`
+        });
+    }
+    
+    if (latencyStreamClients.size >= LATENCY_STREAM_MAX_CLIENTS) {
+        return res.status(503).json({
+            success: false,
+            error: 'Too many latency stream subscribers'
+        });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/ALB)
+    });
+    
+    const send = (event, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const sendStats = () => send('stats', {
+        window,
+        scope: conversationId ? { conversationId } : language ? { language } : input ? { input } : 'all',
+        stages: latencyStats.snapshot({ window, conversationId, language, input })[window],
+        timestamp: new Date().toISOString()
+    });
+    
+    res.write(`retry: 5000\n\n`);
+    sendStats();
+    
+    const unsubscribe = latencyStore.onRecord(record => {
+        if (record.tenant !== req.tenant.id) return;
+        if (conversationId && record.conversationId !== conversationId) return;
+        if (language && record.language !== language) return;
+        if (input && record.input !== input) return;
+        send('measurement', record, record.id);
+    });
+    const heartbeatTimer = setInterval(() => {
+        send('heartbeat', { timestamp: new Date().toISOString() });
+    }, LATENCY_STREAM_HEARTBEAT_MS);
+    const snapshotTimer = setInterval(sendStats, LATENCY_STREAM_SNAPSHOT_MS);
+    
+    latencyStreamClients.add(res);
+    
+    req.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeatTimer);
+        clearInterval(snapshotTimer);
+        latencyStreamClients.delete(res);
+    });
+});
+
+// ✅ AWS-OPTIMIZED DUIX SERVICE with CIRCUIT BREAKER PATTERN
 async function callDUIXServiceWithToken(question, apiUrl, appId, clientToken, avatarId = 'default', voiceId = 'default') {
     const now = Date.now();
     
@@ -603,8 +1826,9 @@ async function callDUIXServiceWithToken(question, apiUrl, appId, clientToken, av
     }
     
     // Circuit breaker check
-    if (!shouldAttemptDuixCall()) {
-        console.warn('🔴 DUIX API circuit breaker OPEN - returning fallback response');
+    if (!duixApiCircuitBreaker.canAttempt()) {
+        console.warn(`🔴 DUIX API circuit breaker ${duixApiCircuitBreaker.state} - returning fallback response`);
+        duixFallbackCounter.inc({ reason: 'circuit_open' });
         return createFallbackResponse(question, now);
     }
     
@@ -613,37 +1837,23 @@ async function callDUIXServiceWithToken(question, apiUrl, appId, clientToken, av
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            const customAgent = createHTTPSAgent('duix_api');
-            
-            // AWS-optimized request configuration
-            const response = await axios({
-                method: 'GET',
-                url: `${apiUrl}${DUIX_ENDPOINTS.GET_CONCURRENT_NUMBER}`,
-                params: { appId: appId },
+            // AWS-optimized request configuration (retries handled manually below)
+            const response = await avatarProvider.getConcurrentNumber({
+                appId,
+                token: clientToken,
+                userAgent: `DUIX-AWS-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`,
                 headers: {
-                    'Token': clientToken,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'User-Agent': `DUIX-AWS-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`,
                     'X-Forwarded-For': process.env.AWS_REGION ? 'aws-internal' : 'localhost',
                     'Connection': 'keep-alive'
                 },
-                httpsAgent: customAgent,
-                timeout: baseTimeout + (attempt * 2000), // Progressive timeout
-                validateStatus: (status) => status < 500,
-                // AWS-specific retry configuration
-                retry: {
-                    retries: 0 // Handle retries manually for better control
-                }
+                timeout: baseTimeout + (attempt * 2000) // Progressive timeout
             });
             
-            customAgent.destroy();
-            
             if (!IS_PRODUCTION) {
                 console.log(`✅ DUIX API SUCCESS on attempt ${attempt} (${Date.now() - now}ms)`);
             }
             
-            updateCircuitBreaker(true);
+            duixApiCircuitBreaker.recordSuccess();
             
             return {
                 session_id: `duix_session_${Date.now()}`,
@@ -681,8 +1891,9 @@ async function callDUIXServiceWithToken(question, apiUrl, appId, clientToken, av
             }
             
             if (attempt === maxRetries) {
-                updateCircuitBreaker(false);
+                duixApiCircuitBreaker.recordFailure(error);
                 console.error(`❌ DUIX API failed after ${maxRetries} attempts`);
+                duixFallbackCounter.inc({ reason: 'upstream_failure' });
                 
                 // Return hybrid fallback instead of throwing error
                 return createFallbackResponse(question, now, {
@@ -698,367 +1909,634 @@ async function callDUIXServiceWithToken(question, apiUrl, appId, clientToken, av
                 Math.pow(2, attempt) * 1000 + Math.random() * 1000,
                 10000 // Max 10 seconds
             );
+            duixRetryCounter.inc({ endpoint: 'GET_CONCURRENT_NUMBER' });
             await new Promise(resolve => setTimeout(resolve, backoffMs));
         }
     }
     
-    updateCircuitBreaker(false);
-    return createFallbackResponse(question, now);
-}
+    duixApiCircuitBreaker.recordFailure();
+    duixFallbackCounter.inc({ reason: 'upstream_failure' });
+    return createFallbackResponse(question, now);
+}
+
+// Hybrid fallback response for AWS resilience
+function createFallbackResponse(question, startTime, errorInfo = null) {
+    return {
+        session_id: `fallback_session_${Date.now()}`,
+        data: {
+            text: `[Hybrid Mode] Processing: "${question}" - DUIX service temporarily unavailable, using local processing.`,
+            api_call_successful: false,
+            api_status: 503,
+            fallback_mode: true,
+            aws_hybrid_response: true,
+            response_time_ms: Date.now() - startTime,
+            circuit_breaker_state: duixApiCircuitBreaker.state,
+            error_info: errorInfo,
+            timestamp: new Date().toISOString(),
+            aws_region: process.env.AWS_REGION || 'local'
+        }
+    };
+}
+
+// ✅ DUIX CONVERSATION MANAGEMENT - Backed by the local conversation registry
+// Kept for existing callers: returns the registry's conversation, else the
+// upstream DUIX conversation, else creates (and stores) a new one, optionally
+// from a template.
+app.post('/api/duix/create-conversation', requireSignCaller, withTenant, async (req, res) => {
+    try {
+        const { conversationId, avatarId, voiceId, templateId, ...fields } = req.body || {};
+        const { tenant } = req;
+        
+        const template = templateId ? conversationTemplates.get(tenant.id, templateId) : null;
+        if (templateId && !template) {
+            return res.status(404).json({ success: false, error: `Template "${templateId}" not found` });
+        }
+        
+        if (conversationId) {
+            const local = conversations.get(tenant.id, conversationId);
+            if (local) {
+                return res.json({
+                    success: true,
+                    code: "200",
+                    message: "CONVERSATION_EXISTS",
+                    data: toDuixConversation(local),
+                    existing_conversation: true,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            try {
+                const token = createDUIXToken(tenant.appId, tenant.appKey);
+                const response = await callUpstreamWithBreaker('GET_CONVERSATION_DETAILS',
+                    () => avatarProvider.getConversation({ conversationId, token }));
+                
+                if (response.status === 200 && response.data && response.data.success) {
+                    return res.json({
+                        success: true,
+                        code: "200",
+                        message: "CONVERSATION_EXISTS",
+                        data: response.data.data,
+                        existing_conversation: true,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+            } catch (error) {
+                if (!IS_PRODUCTION) {
+                    console.warn(`⚠️  Conversation lookup failed: ${error.code || error.message}`);
+                }
+            }
+        }
+        
+        // avatarId/voiceId are catalog ids (checked against the language) or,
+        // for older callers, raw DUIX model and voice ids
+        const selection = avatarCatalog.resolveSelection({ avatarId, voiceId, language: fields.language });
+        if (selection.error) {
+            return res.status(400).json({ success: false, error: selection.error });
+        }
+        
+        let avatar = fields.avatar;
+        if (!avatar && selection.avatar) {
+            avatar = { modelId: selection.avatar.modelId || selection.avatar.id, modelName: selection.avatar.name };
+        } else if (!avatar && avatarId && avatarId !== 'default') {
+            avatar = { modelId: avatarId };
+        }
+        let voice = fields.voice;
+        if (!voice && selection.voice) {
+            voice = { ttsName: selection.voice.id, ttsSpeaker: selection.voice.ttsSpeaker };
+        } else if (!voice && voiceId && voiceId !== 'default') {
+            voice = { ttsName: voiceId };
+        }
+        
+        const conversation = conversations.create(tenant.id, {
+            ...fields,
+            id: conversationId,
+            avatar,
+            voice
+        }, { template });
+        await avatarProvider.registerConversation({ conversation: toDuixConversation(conversation) });
+        auditLog.record('conversation.created', {
+            conversationId: conversation.id,
+            tenant: tenant.id,
+            templateId: conversation.templateId,
+            language: conversation.language,
+            userId: req.caller.user.userId,
+            ip: req.ip
+        });
+        
+        res.status(201).json({
+            success: true,
+            code: "200",
+            message: "CONVERSATION_CREATED",
+            data: toDuixConversation(conversation),
+            existing_conversation: false,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        if (error.code === 'INVALID_CONVERSATION') {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        handleError(error, req, res, 'Create Conversation');
+    }
+});
+
+// ✅ CONVERSATION REGISTRY API - CRUD over the tenant's conversations
+app.get('/api/duix/conversations', requireRole('viewer'), withTenant, (req, res) => {
+    // Repeated (?a=1&a=2) or bracketed (?a[b]=1) parameters arrive as arrays or objects
+    const repeated = ['search', 'limit', 'offset'].find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (repeated) {
+        return res.status(400).json({ success: false, error: `${repeated} must be a single value` });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, conversations: page } = conversations.list(req.tenant.id, { search: req.query.search, limit, offset });
+    
+    res.json({
+        success: true,
+        tenant: req.tenant.id,
+        total,
+        limit,
+        offset,
+        conversations: page.map(toDuixConversation),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/api/duix/conversations/:conversationId', requireRole('viewer'), withTenant, (req, res) => {
+    const conversation = conversations.get(req.tenant.id, req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, data: toDuixConversation(conversation) });
+});
+
+app.post('/api/duix/conversations', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        const templateId = req.body && req.body.templateId;
+        const template = templateId ? conversationTemplates.get(req.tenant.id, templateId) : null;
+        if (templateId && !template) {
+            return res.status(404).json({ success: false, error: `Template "${templateId}" not found` });
+        }
+        
+        const conversation = conversations.create(req.tenant.id, req.body, { template });
+        auditLog.record('conversation.created', {
+            conversationId: conversation.id,
+            tenant: req.tenant.id,
+            templateId: conversation.templateId,
+            keyId: req.admin.id,
+            ip: req.ip
+        });
+        res.status(201).json({ success: true, data: toDuixConversation(conversation) });
+    } catch (error) {
+        if (error.code === 'INVALID_CONVERSATION') {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        handleError(error, req, res, 'Create Conversation');
+    }
+});
+
+app.patch('/api/duix/conversations/:conversationId', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        const conversation = conversations.update(req.tenant.id, req.params.conversationId, req.body);
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        auditLog.record('conversation.updated', {
+            conversationId: conversation.id,
+            tenant: req.tenant.id,
+            keyId: req.admin.id,
+            fields: Object.keys(req.body || {}).join(','),
+            ip: req.ip
+        });
+        res.json({ success: true, data: toDuixConversation(conversation) });
+    } catch (error) {
+        if (error.code === 'INVALID_CONVERSATION') {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        handleError(error, req, res, 'Update Conversation');
+    }
+});
+
+app.delete('/api/duix/conversations/:conversationId', requireRole('operator'), withTenant, (req, res) => {
+    if (!conversations.delete(req.tenant.id, req.params.conversationId)) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    auditLog.record('conversation.deleted', { conversationId: req.params.conversationId, tenant: req.tenant.id, keyId: req.admin.id, ip: req.ip });
+    res.json({ success: true, conversationId: req.params.conversationId });
+});
+
+// ✅ CONVERSATION TEMPLATES - Named starting points, exportable as JSON/YAML
+const templateBody = bodyParser.text({
+    type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'],
+    limit: '1mb'
+});
+
+const sendTemplateError = (error, req, res, operation) => {
+    if (error.code === 'INVALID_TEMPLATE') {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    handleError(error, req, res, operation);
+};
+
+app.get('/api/duix/templates', requireRole('viewer'), withTenant, (req, res) => {
+    res.json({
+        success: true,
+        tenant: req.tenant.id,
+        templates: conversationTemplates.list(req.tenant.id),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/api/duix/templates/:templateId', requireRole('viewer'), withTenant, (req, res) => {
+    const template = conversationTemplates.get(req.tenant.id, req.params.templateId);
+    if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, data: template });
+});
+
+// Download a template as a file others can import (format: yaml or json)
+app.get('/api/duix/templates/:templateId/export', requireRole('viewer'), withTenant, (req, res) => {
+    const format = req.query.format || 'yaml';
+    if (typeof format !== 'string' || !hasOwn(TEMPLATE_FORMATS, format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown format "${format}" - expected one of ${Object.keys(TEMPLATE_FORMATS).join(', ')}`
+        });
+    }
+    
+    const template = conversationTemplates.get(req.tenant.id, req.params.templateId);
+    if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    
+    const exportFormat = TEMPLATE_FORMATS[format];
+    res.set('Content-Type', `${exportFormat.contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${template.id}.${exportFormat.extension}"`);
+    res.send(serializeTemplate(template, format));
+});
+
+app.post('/api/duix/templates', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        const template = conversationTemplates.save(req.tenant.id, req.body);
+        auditLog.record('template.created', { templateId: template.id, tenant: req.tenant.id, keyId: req.admin.id, ip: req.ip });
+        res.status(201).json({ success: true, data: template });
+    } catch (error) {
+        sendTemplateError(error, req, res, 'Create Template');
+    }
+});
+
+// Upload a JSON or YAML document with one template or { templates: [...] };
+// ?replace=true overwrites templates the tenant already has
+app.post('/api/duix/templates/import', requireRole('operator'), withTenant, templateBody, (req, res) => {
+    try {
+        const document = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+        const imported = conversationTemplates.import(req.tenant.id, document, { replace: req.query.replace === 'true' });
+        auditLog.record('template.imported', {
+            templateIds: imported.map(template => template.id).join(','),
+            tenant: req.tenant.id,
+            keyId: req.admin.id,
+            ip: req.ip
+        });
+        res.status(201).json({ success: true, imported: imported.length, templates: imported });
+    } catch (error) {
+        sendTemplateError(error, req, res, 'Import Templates');
+    }
+});
+
+app.post('/api/duix/templates/:templateId/clone', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        const { id, name } = req.body || {};
+        const template = conversationTemplates.clone(req.tenant.id, req.params.templateId, { id, name });
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        auditLog.record('template.cloned', {
+            templateId: template.id,
+            source: req.params.templateId,
+            tenant: req.tenant.id,
+            keyId: req.admin.id,
+            ip: req.ip
+        });
+        res.status(201).json({ success: true, data: template });
+    } catch (error) {
+        sendTemplateError(error, req, res, 'Clone Template');
+    }
+});
+
+app.patch('/api/duix/templates/:templateId', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        const template = conversationTemplates.update(req.tenant.id, req.params.templateId, req.body);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        auditLog.record('template.updated', { templateId: template.id, tenant: req.tenant.id, keyId: req.admin.id, ip: req.ip });
+        res.json({ success: true, data: template });
+    } catch (error) {
+        sendTemplateError(error, req, res, 'Update Template');
+    }
+});
+
+app.delete('/api/duix/templates/:templateId', requireRole('operator'), withTenant, (req, res) => {
+    try {
+        if (!conversationTemplates.delete(req.tenant.id, req.params.templateId)) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        auditLog.record('template.deleted', { templateId: req.params.templateId, tenant: req.tenant.id, keyId: req.admin.id, ip: req.ip });
+        res.json({ success: true, templateId: req.params.templateId });
+    } catch (error) {
+        sendTemplateError(error, req, res, 'Delete Template');
+    }
+});
+
+// ✅ PRODUCTION AVATAR RESOURCES - Served from the avatar catalog
+app.get('/api/catalog', (req, res) => {
+    res.json({
+        success: true,
+        ...avatarCatalog.snapshot(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/api/avatars', withTenant, (req, res) => {
+    const language = req.query.lang || req.query.language;
+    const { avatars } = avatarCatalog.catalog;
+    res.json({
+        success: true,
+        avatars: avatars
+            .filter(avatar => !language || avatar.languages.includes(language))
+            .map(avatar => ({ ...avatar, samplePictureUrl: avatar.preview })),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// All voices, or with ?avatarId= only those compatible with that avatar;
+// ?lang= (or ?language=) narrows either to one language
+app.get('/api/voices', (req, res) => {
+    const { avatarId } = req.query;
+    const language = req.query.lang || req.query.language;
+    const voices = avatarId
+        ? avatarCatalog.voicesFor(avatarId, language)
+        : avatarCatalog.catalog.voices.filter(voice => !language || voice.languages.includes(language));
+    
+    if (!voices) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown avatar "${avatarId}"`
+        });
+    }
+    
+    res.json({
+        success: true,
+        avatarId: avatarId || null,
+        language: language || null,
+        defaultVoice: avatarId ? avatarCatalog.defaultVoiceFor(avatarId, language) : null,
+        voices,
+        timestamp: new Date().toISOString()
+    });
+});
 
-// Hybrid fallback response for AWS resilience
-function createFallbackResponse(question, startTime, errorInfo = null) {
-    return {
-        session_id: `fallback_session_${Date.now()}`,
-        data: {
-            text: `[Hybrid Mode] Processing: "${question}" - DUIX service temporarily unavailable, using local processing.`,
-            api_call_successful: false,
-            api_status: 503,
-            fallback_mode: true,
-            aws_hybrid_response: true,
-            response_time_ms: Date.now() - startTime,
-            circuit_breaker_state: duixApiCircuitBreaker.state,
-            error_info: errorInfo,
-            timestamp: new Date().toISOString(),
-            aws_region: process.env.AWS_REGION || 'local'
-        }
-    };
-}
+// Sample questions - quick picks in the chat box and the default benchmark set
+const SAMPLE_QUESTIONS = [
+    "Hello, how are you today?",
+    "What's the weather like?",
+    "Can you tell me a joke?",
+    "What time is it?",
+    "How can I help you?",
+    "What's your favorite color?",
+    "Tell me about yourself",
+    "What can you do?",
+    "How does AI work?",
+    "What's new today?"
+];
+
+// Get questions endpoint - for testing latency
+app.get('/api/questions', (req, res) => {
+    res.json({
+        success: true,
+        message: 'Sample questions for avatar testing',
+        questions: SAMPLE_QUESTIONS,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ✅ LATENCY BENCHMARKS - Scripted question runs for comparing releases
+// A run is queued here and driven by a page with the avatar running for its
+// conversation: the page claims it, asks each planned question and reports
+// every turn. GET /api/benchmarks/:runId returns the turns and summary.
+const sendBenchmarkError = (error, req, res, operation) => {
+    if (error.code === 'INVALID_BENCHMARK' || error.code === 'INVALID_MEASUREMENT') {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    handleError(error, req, res, operation);
+};
+
+const findBenchmark = (req, res) => {
+    const run = benchmarks.get(req.tenant.id, req.params.runId);
+    if (!run) {
+        res.status(404).json({ success: false, error: `Benchmark run ${req.params.runId} not found` });
+    }
+    return run;
+};
 
-// ✅ DUIX CONVERSATION MANAGEMENT - Based on Official API Documentation
-app.post('/api/duix/create-conversation', async (req, res) => {
+// Running runs get a live summary of the turns reported so far
+const benchmarkResults = (run) => ({ ...run, summary: run.summary || summarize(run) });
+
+app.post('/api/benchmarks', requireSignCaller, withTenant, (req, res) => {
     try {
-        const { appId, token, avatarId, voiceId, conversationId } = req.body;
-        const applicationId = appId || DUIX_APP_ID;
+        const { conversationId, questions, questionSet, label, ...options } = req.body || {};
         
-        if (!token) {
+        if (!conversationId || !CONVERSATION_ID_PATTERN.test(conversationId)) {
             return res.status(400).json({
                 success: false,
-                error: 'Token is required for conversation operations'
+                error: 'conversationId is required (letters, digits, "_" or "-", up to 64 characters)'
             });
         }
         
-        // Check if conversation already exists using the documented endpoint
-        if (conversationId) {
-            try {
-                const customAgent = createHTTPSAgent('duix_api');
-                
-                const response = await axios({
-                    method: 'GET',
-                    url: `${DUIX_API_URL}${DUIX_ENDPOINTS.GET_CONVERSATION_DETAILS}`,
-                    params: { conversationId: conversationId },
-                    headers: {
-                        'Token': token,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json',
-                        'User-Agent': `DUIX-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`
-                    },
-                    httpsAgent: customAgent,
-                    timeout: 15000,
-                    validateStatus: (status) => status < 500
-                });
-                
-                customAgent.destroy();
-                
-                if (response.status === 200 && response.data && response.data.success) {
-                    return res.json({
-                        success: true,
-                        code: "200",
-                        message: "CONVERSATION_EXISTS",
-                        data: response.data.data,
-                        existing_conversation: true,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-                
-            } catch (error) {
-                if (!IS_PRODUCTION) {
-                    console.warn(`⚠️  Conversation lookup failed: ${error.code || error.message}`);
-                }
-            }
-        }
-        
-        // Since DUIX API doesn't expose conversation creation endpoint publicly,
-        // we'll use a hybrid approach with a well-formed conversation object
-        // that matches the API documentation structure
-        
-        const hybridConversationId = conversationId || `hybrid_conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        // Create conversation object matching DUIX API documentation structure
-        const conversationData = {
-            id: hybridConversationId,
-            conversationName: `Avatar Chat ${new Date().toLocaleTimeString()}`,
-            language: 'zh',
-            corpId: '1003645',
-            userId: '3959',
-            conversationConfigDto: null,
-            maxConversation: 2,
-            dataModelIsUsed: 1,
-            knowledgeIsUsed: 1,
-            fileIsUsed: 0,
-            thirdIsUsed: 0,
-            isFreedom: 0,
-            asrProvider: null,
-            conversationInfoDto: {
-                id: parseInt(hybridConversationId) || 109,
-                name: 'Avatar Assistant',
-                nickName: '',
-                gender: 1,
-                age: 0,
-                height: 0,
-                weight: 0,
-                characters: 'Professional AI Assistant',
-                backStory: 'Hybrid DUIX Avatar Assistant'
+        const run = benchmarks.create(req.tenant.id, {
+            conversationId,
+            questions: questionSet !== undefined ? parseQuestionSet(questionSet) : (questions || SAMPLE_QUESTIONS),
+            options: {
+                iterations: options.iterations,
+                warmupTurns: options.warmupTurns,
+                pacingMs: options.pacingMs,
+                turnTimeoutMs: options.turnTimeoutMs
             },
-            detailDto: {
-                id: parseInt(hybridConversationId) || 95,
-                conversationId: hybridConversationId,
-                proportion: '16:9',
-                terminalType: 0,
-                modelId: avatarId || '321486924406853',
-                modelIdType: 0,
-                imageId: null,
-                sceneId: null,
-                modelName: 'Hybrid Avatar Model',
-                sceneType: 0,
-                background: 1,
-                backgroundDto: {
-                    id: 1,
-                    backgroundCode: '1591003727513522176',
-                    backgroundName: 'professional_bg.jpg',
-                    backgroundUrl: '/video-server/jpg/professional_bg.jpg',
-                    fileType: 0,
-                    proportion: '16:9',
-                    userId: null
-                },
-                modelConfig: null,
-                ttsId: '15',
-                ttsName: voiceId || 'guina',
-                ttsConfig: null,
-                ttsUrl: '',
-                ttsVolume: 0,
-                ttsSpeaker: 'zhifeng_emo',
-                ttsSpeedRate: 0,
-                ttsPitch: 0,
-                ttsSource: 20,
-                samplePictureUrl: '/model/avatar/hybrid_avatar.png',
-                videoWidth: 1920,
-                videoHeight: 1920,
-                humanProportion: '9:16',
-                humanWidth: 540,
-                humanHeight: 960,
-                humanX: 690,
-                humanY: 120,
-                localModelInfo: null
-            },
-            knowledgeDtoList: [],
-            kbConversationDto: null,
-            modelDtoList: [
-                {
-                    id: 487,
-                    conversationId: hybridConversationId,
-                    largeModelType: 0,
-                    modelCode: 0,
-                    largeName: 'hybrid_assistant',
-                    modelId: '1',
-                    prompt: 'Task: You are a professional AI assistant with a friendly and helpful personality. You provide clear, concise answers and engage naturally with users. Requirements: 1. Be helpful and professional, 2. Keep responses under 50 words, 3. Use natural conversation style, 4. Respond in the user\'s language.',
-                    botUrl: ''
-                }
-            ],
-            thirdDto: null,
-            scriptDtoList: [
-                {
-                    id: 2728,
-                    conversationId: hybridConversationId,
-                    scriptType: 0,
-                    scriptContent: 'Hello',
-                    ttsContent: null,
-                    emotion: '0'
-                },
-                {
-                    id: 2729,
-                    conversationId: hybridConversationId,
-                    scriptType: 1,
-                    scriptContent: 'Hello, I\'m your AI assistant. How can I help you today?',
-                    ttsContent: null,
-                    emotion: '0'
-                },
-                {
-                    id: 2730,
-                    conversationId: hybridConversationId,
-                    scriptType: 2,
-                    scriptContent: 'Let me think about that for a moment...',
-                    ttsContent: null,
-                    emotion: '0'
-                },
-                {
-                    id: 2731,
-                    conversationId: hybridConversationId,
-                    scriptType: 3,
-                    scriptContent: 'I\'m not sure I understand. Could you please rephrase that?',
-                    ttsContent: null,
-                    emotion: '0'
-                },
-                {
-                    id: 2732,
-                    conversationId: hybridConversationId,
-                    scriptType: 4,
-                    scriptContent: 'Thank you for chatting with me. Have a great day!',
-                    ttsContent: null,
-                    emotion: '0'
-                }
-            ]
-        };
+            label,
+            createdBy: req.caller.user.userId
+        });
+        auditLog.record('benchmark.created', {
+            runId: run.id,
+            tenant: req.tenant.id,
+            conversationId,
+            turns: run.plan.length,
+            userId: req.caller.user.userId,
+            ip: req.ip
+        });
+        console.log(`🏁 Benchmark ${run.id} queued: ${run.plan.length} turns for conversation ${conversationId}`);
         
-        return res.json({
+        res.status(202).json({
             success: true,
-            code: "200",
-            message: "HYBRID_CONVERSATION_CREATED",
-            data: conversationData,
-            hybrid_mode: true,
-            api_compliant_structure: true,
-            circuit_breaker_state: duixApiCircuitBreaker.state,
-            aws_region: process.env.AWS_REGION || 'local',
-            timestamp: new Date().toISOString()
+            runId: run.id,
+            status: run.status,
+            plannedTurns: run.plan.length,
+            results: `/api/benchmarks/${run.id}`
         });
         
     } catch (error) {
-        handleError(error, req, res, 'Create Conversation');
+        sendBenchmarkError(error, req, res, 'Create Benchmark');
     }
 });
 
-// ✅ PRODUCTION AVATAR RESOURCES
-app.get('/api/avatars', async (req, res) => {
+app.get('/api/benchmarks', requireSignCaller, withTenant, (req, res) => {
     try {
-        const { appId } = req.query;
-        const applicationId = appId || DUIX_APP_ID;
-        
-        // Try to get real avatars from DUIX API (if endpoint exists)
-        try {
-            const token = createDUIXToken(applicationId, DUIX_APP_KEY);
-            const customAgent = createHTTPSAgent('production');
-            
-            // Note: Avatar list endpoint not documented, using fallback
-            // const response = await axios({
-            //     method: 'GET',
-            //     url: `${DUIX_API_URL}/duix-openapi-v2/sdk/v2/getAvatarList`,
-            //     params: { appId: applicationId },
-            //     headers: {
-            //         'Token': token,
-            //         'Content-Type': 'application/json',
-            //         'Accept': 'application/json',
-            //         'User-Agent': 'DUIX-AWS-Compatible/1.0'
-            //     },
-            //     httpsAgent: customAgent,
-            //     timeout: 15000,
-            //     validateStatus: (status) => status < 500
-            // });
-            
-            customAgent.destroy();
-            
-        } catch (error) {
-            // Fall through to fallback avatars
-        }
+        const { conversationId, status } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
         
-        // Fallback avatars with production-quality SVG
         res.json({
             success: true,
-            message: 'DUIX service avatar characters - Ready for conversation',
-            real_duix_avatars: true,
-            avatars: [
-                { 
-                    id: '108', 
-                    name: 'Zhang San (Default)', 
-                    description: 'Default DUIX character with professional tone',
-                    conversationName: 'Professional Avatar Chat',
-                    language: 'zh',
-                    modelId: '321486924406853',
-                    modelName: 'Professional Model',
-                    ttsName: 'guina',
-                    ttsSpeaker: 'zhifeng_emo',
-                    samplePictureUrl: 'data:image/svg+xml;base64,' + Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200"><defs><linearGradient id="grad1" x1="0%" y1="0%" x2="100%" y2="100%"><stop offset="0%" style="stop-color:#667eea"/><stop offset="100%" style="stop-color:#764ba2"/></linearGradient></defs><rect width="200" height="200" fill="url(#grad1)" rx="15"/><circle cx="100" cy="75" r="25" fill="white" opacity="0.9"/><circle cx="90" cy="70" r="3" fill="#333"/><circle cx="110" cy="70" r="3" fill="#333"/><path d="M 85 80 Q 100 90 115 80" stroke="#333" stroke-width="2" fill="none"/><text x="100" y="175" font-family="Arial, sans-serif" font-size="14" font-weight="bold" fill="white" text-anchor="middle">Zhang San</text><text x="100" y="190" font-family="Arial, sans-serif" font-size="10" fill="white" text-anchor="middle" opacity="0.8">Professional Avatar</text></svg>`).toString('base64'),
-                    proportion: '16:9',
-                    videoWidth: 1920,
-                    videoHeight: 1920
-                }
-            ],
+            tenant: req.tenant.id,
+            runs: benchmarks.list(req.tenant.id, { conversationId, status, limit }).map(BenchmarkRegistry.overview),
             timestamp: new Date().toISOString()
         });
-        
     } catch (error) {
-        handleError(error, req, res, 'Get Avatars');
+        sendBenchmarkError(error, req, res, 'List Benchmarks');
     }
 });
 
-// Get voices endpoint
-app.get('/api/voices', (req, res) => {
-    res.json({
-        success: true,
-        message: 'DUIX service voice models',
-        voices: [
-            { id: 'guina', name: 'Guina Voice', description: 'Professional Chinese voice' },
-            { id: 'zhifeng_emo', name: 'Zhifeng Emotional', description: 'Emotional Chinese voice' },
-            { id: 'default', name: 'Default Voice', description: 'Default DUIX voice model' }
-        ],
-        timestamp: new Date().toISOString()
-    });
+// Polled by pages running a conversation: the oldest queued run for it, if any
+app.get('/api/benchmarks/next', requireSignCaller, withTenant, (req, res) => {
+    const run = benchmarks.next(req.tenant.id, req.query.conversationId);
+    if (!run) return res.status(204).end();
+    res.json({ success: true, run: BenchmarkRegistry.overview(run) });
 });
 
-// Get questions endpoint - for testing latency
-app.get('/api/questions', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Sample questions for avatar testing',
-        questions: [
-            "Hello, how are you today?",
-            "What's the weather like?",
-            "Can you tell me a joke?",
-            "What time is it?",
-            "How can I help you?",
-            "What's your favorite color?",
-            "Tell me about yourself",
-            "What can you do?",
-            "How does AI work?",
-            "What's new today?"
-        ],
-        timestamp: new Date().toISOString()
-    });
+app.get('/api/benchmarks/:runId', requireSignCaller, withTenant, (req, res) => {
+    const run = findBenchmark(req, res);
+    if (!run) return;
+    res.json({ success: true, run: benchmarkResults(run) });
+});
+
+app.post('/api/benchmarks/:runId/claim', requireSignCaller, withTenant, (req, res) => {
+    try {
+        if (!findBenchmark(req, res)) return;
+        const run = benchmarks.claim(req.tenant.id, req.params.runId, { claimedBy: req.caller.user.userId });
+        console.log(`🏁 Benchmark ${run.id} started by ${run.claimedBy}`);
+        res.json({ success: true, run });
+    } catch (error) {
+        sendBenchmarkError(error, req, res, 'Claim Benchmark');
+    }
+});
+
+app.post('/api/benchmarks/:runId/turns', requireSignCaller, withTenant, (req, res) => {
+    try {
+        if (!findBenchmark(req, res)) return;
+        const run = benchmarks.recordTurn(req.tenant.id, req.params.runId, req.body || {}, {
+            reportedBy: req.caller.user.userId
+        });
+        
+        if (run.status === 'completed') {
+            const { total } = run.summary.stages;
+            auditLog.record('benchmark.completed', {
+                runId: run.id,
+                tenant: req.tenant.id,
+                measuredTurns: run.summary.measuredTurns,
+                failedTurns: run.summary.failedTurns,
+                p50: total.p50,
+                p95: total.p95
+            });
+            console.log(`🏁 Benchmark ${run.id} completed: total p50 ${total.p50}ms, p95 ${total.p95}ms`);
+        }
+        
+        res.status(201).json({
+            success: true,
+            status: run.status,
+            recordedTurns: run.turns.length,
+            plannedTurns: run.plan.length
+        });
+    } catch (error) {
+        sendBenchmarkError(error, req, res, 'Record Benchmark Turn');
+    }
+});
+
+app.post('/api/benchmarks/:runId/cancel', requireSignCaller, withTenant, (req, res) => {
+    try {
+        if (!findBenchmark(req, res)) return;
+        const run = benchmarks.cancel(req.tenant.id, req.params.runId);
+        auditLog.record('benchmark.cancelled', { runId: run.id, tenant: req.tenant.id, userId: req.caller.user.userId, ip: req.ip });
+        res.json({ success: true, run: benchmarkResults(run) });
+    } catch (error) {
+        sendBenchmarkError(error, req, res, 'Cancel Benchmark');
+    }
 });
 
 // ✅ DUIX SESSION MANAGEMENT ENDPOINTS - Based on Official API Documentation
 
+// Session management is guarded by admin API keys and signed server-side with
+// the resolved tenant's key, so callers never need a DUIX token
+
 // Get concurrent sessions for an APP
-app.get('/api/duix/concurrent-sessions', async (req, res) => {
+app.get('/api/duix/concurrent-sessions', requireRole('viewer'), withTenant, async (req, res) => {
     try {
-        const { appId, token } = req.query;
-        const applicationId = appId || DUIX_APP_ID;
+        const { appId: applicationId, appKey } = req.tenant;
+        const token = createDUIXToken(applicationId, appKey);
         
-        if (!token) {
+        const response = await callUpstreamWithBreaker('GET_CONCURRENT_LIST',
+            () => avatarProvider.listSessions({ appId: applicationId, token }));
+        
+        if (response.status === 200) {
+            return res.json({
+                success: true,
+                tenant: req.tenant.id,
+                data: response.data,
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            return res.status(503).json({
+                success: false,
+                error: 'DUIX API unavailable',
+                hybrid_mode: true,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+    } catch (error) {
+        res.status(503).json({
+            success: false,
+            error: 'Service temporarily unavailable',
+            hybrid_mode: true,
+            circuit_breaker_state: circuitBreakers.get('GET_CONCURRENT_LIST').state,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Stop a specific session
+app.post('/api/duix/stop-session', requireRole('operator'), withTenant, async (req, res) => {
+    try {
+        const { uuid } = req.body;
+        
+        if (!uuid) {
             return res.status(400).json({
                 success: false,
-                error: 'Token is required'
+                error: 'Session UUID is required'
             });
         }
         
-        const customAgent = createHTTPSAgent('duix_api');
+        const token = createDUIXToken(req.tenant.appId, req.tenant.appKey);
+        const response = await callUpstreamWithBreaker('SESSION_STOP',
+            () => avatarProvider.stopSession({ uuid, token }));
         
-        const response = await axios({
-            method: 'GET',
-            url: `${DUIX_API_URL}${DUIX_ENDPOINTS.GET_CONCURRENT_LIST}`,
-            params: { appId: applicationId },
-            headers: {
-                'Token': token,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'User-Agent': `DUIX-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`
-            },
-            httpsAgent: customAgent,
-            timeout: 15000,
-            validateStatus: (status) => status < 500
+        auditLog.record('admin.stop_session', {
+            keyId: req.admin.id,
+            tenant: req.tenant.id,
+            uuid,
+            status: response.status,
+            ip: req.ip
         });
         
-        customAgent.destroy();
-        
         if (response.status === 200) {
             return res.json({
                 success: true,
@@ -1079,46 +2557,45 @@ app.get('/api/duix/concurrent-sessions', async (req, res) => {
             success: false,
             error: 'Service temporarily unavailable',
             hybrid_mode: true,
-            circuit_breaker_state: duixApiCircuitBreaker.state,
+            circuit_breaker_state: circuitBreakers.get('SESSION_STOP').state,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Stop a specific session
-app.post('/api/duix/stop-session', async (req, res) => {
+// Kill switch: close every session of the tenant's app (frees stuck concurrency
+// slots). Requires { "confirm": true } so it can't be triggered by accident.
+app.post('/api/duix/close-all-sessions', requireRole('operator'), withTenant, async (req, res) => {
     try {
-        const { uuid, token } = req.body;
-        
-        if (!token || !uuid) {
+        if (req.body.confirm !== true) {
             return res.status(400).json({
                 success: false,
-                error: 'Token and session UUID are required'
+                error: 'This closes every session of the app - send { "confirm": true } to proceed'
             });
         }
         
-        const customAgent = createHTTPSAgent('duix_api');
+        const { appId, appKey } = req.tenant;
+        const token = createDUIXToken(appId, appKey);
+        const response = await callUpstreamWithBreaker('CLOSE_ALL_SESSIONS',
+            () => avatarProvider.closeAllSessions({ appId, token }));
         
-        const response = await axios({
-            method: 'GET',
-            url: `${DUIX_API_URL}${DUIX_ENDPOINTS.SESSION_STOP}`,
-            params: { uuid: uuid },
-            headers: {
-                'Token': token,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'User-Agent': `DUIX-Hybrid/1.0 (${process.env.AWS_REGION || 'local'})`
-            },
-            httpsAgent: customAgent,
-            timeout: 15000,
-            validateStatus: (status) => status < 500
+        console.warn(`🧹 All sessions closed for tenant ${req.tenant.id} by ${req.admin.id}`);
+        auditLog.record('admin.close_all_sessions', {
+            keyId: req.admin.id,
+            tenant: req.tenant.id,
+            appId,
+            status: response.status,
+            ip: req.ip
         });
         
-        customAgent.destroy();
-        
         if (response.status === 200) {
+            // The local slots would otherwise stay held until the idle reaper,
+            // keeping queued callers waiting for sessions that no longer exist
+            const releasedSlots = sessionSlots.releaseAll(req.tenant.id, 'closed_all');
             return res.json({
                 success: true,
+                tenant: req.tenant.id,
+                releasedSlots,
                 data: response.data,
                 timestamp: new Date().toISOString()
             });
@@ -1136,10 +2613,128 @@ app.post('/api/duix/stop-session', async (req, res) => {
             success: false,
             error: 'Service temporarily unavailable',
             hybrid_mode: true,
-            circuit_breaker_state: duixApiCircuitBreaker.state,
+            circuit_breaker_state: circuitBreakers.get('CLOSE_ALL_SESSIONS').state,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ✅ FAULT INJECTION ADMIN - Degrade the DUIX upstream on demand
+app.get('/api/admin/fault-injection', requireRole('viewer', { global: true }), (req, res) => {
+    res.json({
+        success: true,
+        config: avatarProvider.config,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.put('/api/admin/fault-injection', requireRole('admin', { global: true }), (req, res) => {
+    try {
+        const config = avatarProvider.configure(req.body);
+        console.warn(`💥 Fault injection ${config.enabled ? 'ENABLED' : 'configured (disabled)'} via admin API`);
+        auditLog.record('admin.fault_injection.configured', { keyId: req.admin.id, enabled: config.enabled, ip: req.ip });
+        res.json({
+            success: true,
+            config,
             timestamp: new Date().toISOString()
         });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/admin/fault-injection', requireRole('admin', { global: true }), (req, res) => {
+    avatarProvider.configure(null);
+    console.log('💥 Fault injection disabled via admin API');
+    auditLog.record('admin.fault_injection.disabled', { keyId: req.admin.id, ip: req.ip });
+    res.json({
+        success: true,
+        config: avatarProvider.config,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ✅ TENANT ADMIN - Configured tenants and their current request budget (never app keys)
+app.get('/api/admin/tenants', requireRole('viewer'), (req, res) => {
+    // Tenant-bound keys only see their own tenant
+    const visible = req.admin.tenant ? [tenants.get(req.admin.tenant)] : tenants.all();
+    res.json({
+        success: true,
+        defaultTenant: req.admin.tenant ? null : tenants.defaultTenantId,
+        tenants: visible.map(tenant => tenants.describe(tenant)),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ✅ SESSION SLOT ADMIN - Slots held and visitors queued per tenant
+app.get('/api/admin/slots', requireRole('viewer'), (req, res) => {
+    const visible = req.admin.tenant ? [tenants.get(req.admin.tenant)] : tenants.all();
+    res.json({
+        success: true,
+        tenants: visible.map(tenant => sessionSlots.snapshot(tenant.id)),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ✅ CIRCUIT BREAKER ADMIN - Inspect and manually control per-endpoint breakers
+app.get('/api/admin/circuit-breaker', requireRole('viewer'), (req, res) => {
+    const { endpoint } = req.query;
+    
+    if (endpoint && !hasOwn(DUIX_ENDPOINTS, endpoint)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown endpoint "${endpoint}"`
+        });
+    }
+    
+    const breakers = endpoint ? [circuitBreakers.get(endpoint)] : circuitBreakers.all();
+    
+    res.json({
+        success: true,
+        breakers: breakers.map(breaker => breaker.snapshot()),
+        timestamp: new Date().toISOString()
+    });
+});
+
+const CIRCUIT_BREAKER_ACTIONS = {
+    'force-open': (breaker) => breaker.forceOpen(),
+    'force-close': (breaker) => breaker.forceClose(),
+    'reset': (breaker) => breaker.reset()
+};
+
+// Applies to one endpoint ({ "endpoint": "SESSION_STOP" }) or every breaker when omitted
+app.post('/api/admin/circuit-breaker/:action', requireRole('operator', { global: true }), (req, res) => {
+    const action = hasOwn(CIRCUIT_BREAKER_ACTIONS, req.params.action) ? CIRCUIT_BREAKER_ACTIONS[req.params.action] : null;
+    const endpoint = req.body.endpoint || req.query.endpoint;
+    
+    if (!action) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown action "${req.params.action}" - expected one of ${Object.keys(CIRCUIT_BREAKER_ACTIONS).join(', ')}`
+        });
+    }
+    
+    if (endpoint && !hasOwn(DUIX_ENDPOINTS, endpoint)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown endpoint "${endpoint}"`
+        });
     }
+    
+    const breakers = endpoint ? [circuitBreakers.get(endpoint)] : circuitBreakers.all();
+    breakers.forEach(action);
+    console.warn(`⚡ Circuit breaker ${req.params.action} by admin: ${breakers.map(b => b.name).join(', ')}`);
+    auditLog.record(`admin.circuit_breaker.${req.params.action}`, { keyId: req.admin.id, endpoint: endpoint || 'all', ip: req.ip });
+    
+    res.json({
+        success: true,
+        action: req.params.action,
+        breakers: breakers.map(breaker => breaker.snapshot()),
+        timestamp: new Date().toISOString()
+    });
 });
 
 // ✅ PRODUCTION MONITORING AND DIAGNOSTICS
@@ -1150,24 +2745,16 @@ app.get('/api/status', async (req, res) => {
         // Test DUIX API connectivity using correct endpoint
         let duixStatus = 'unknown';
         try {
-            const token = createDUIXToken(DUIX_APP_ID, DUIX_APP_KEY);
-            const customAgent = createHTTPSAgent('duix_api');
+            const { appId, appKey } = tenants.defaultTenant;
+            const token = createDUIXToken(appId, appKey);
             
-            const response = await axios({
-                method: 'GET',
-                url: `${DUIX_API_URL}${DUIX_ENDPOINTS.GET_CONCURRENT_NUMBER}`,
-                params: { appId: DUIX_APP_ID },
-                headers: {
-                    'Token': token,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'DUIX-AWS-Compatible/1.0'
-                },
-                httpsAgent: customAgent,
-                timeout: 10000,
-                validateStatus: (status) => status < 500
+            const response = await avatarProvider.getConcurrentNumber({
+                appId,
+                token,
+                userAgent: 'DUIX-AWS-Compatible/1.0',
+                timeout: 10000
             });
             
-            customAgent.destroy();
             duixStatus = response.status === 200 ? 'healthy' : 'degraded';
             
         } catch (error) {
@@ -1190,6 +2777,14 @@ app.get('/api/status', async (req, res) => {
                 node_tls_reject_unauthorized: process.env.NODE_TLS_REJECT_UNAUTHORIZED
             },
             duix_api_status: duixStatus,
+            avatar_provider: avatarProvider.name,
+            fault_injection: avatarProvider.config.enabled,
+            circuit_breakers: Object.fromEntries(circuitBreakers.all().map(breaker => [breaker.name, breaker.state])),
+            sessions: {
+                active: sessionSlots.slots.size,
+                queued: tenants.all().reduce((total, tenant) => total + sessionSlots.queueFor(tenant.id).length, 0),
+                reaped: REAPED_REASONS.reduce((total, reason) => total + (sessionSlots.releaseCounts[reason] || 0), 0)
+            },
             response_time_ms: endTime - startTime,
             version: '1.0.0',
             uptime: process.uptime()
@@ -1205,25 +2800,15 @@ if (!IS_PRODUCTION) {
     // Debug endpoints only available in development
     app.get('/api/debug/test-duix-token', async (req, res) => {
         try {
-            const token = createDUIXToken(DUIX_APP_ID, DUIX_APP_KEY);
-            const customAgent = createHTTPSAgent('duix_api');
+            const { appId, appKey } = tenants.defaultTenant;
+            const token = createDUIXToken(appId, appKey);
             
-            const response = await axios({
-                method: 'GET',
-                url: `${DUIX_API_URL}${DUIX_ENDPOINTS.GET_CONCURRENT_NUMBER}`,
-                params: { appId: DUIX_APP_ID },
-                headers: {
-                    'Token': token,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'DUIX-AWS-Compatible/1.0'
-                },
-                httpsAgent: customAgent,
-                timeout: 15000,
-                validateStatus: (status) => status < 500
+            const response = await avatarProvider.getConcurrentNumber({
+                appId,
+                token,
+                userAgent: 'DUIX-AWS-Compatible/1.0'
             });
             
-            customAgent.destroy();
-            
             const isTokenValid = response.status === 200 && response.data;
             
             res.json({
@@ -1285,14 +2870,16 @@ process.on('uncaughtException', (error) => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
     console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
-    process.exit(0);
+    // Let pending latency history, audit, conversation and template writes reach disk before exiting
+    if (pingChannel) pingChannel.close();
+    Promise.all([latencyStore.flush(), auditLog.flush(), conversations.flush(), conversationTemplates.flush(), benchmarks.flush()]).finally(() => process.exit(0));
 };
 
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // ✅ START PRODUCTION SERVER
-app.listen(PORT, HOST, () => {
+const server = app.listen(PORT, HOST, () => {
     console.log(`🚀 DUIX AI Avatar Server running on ${HOST}:${PORT}`);
     console.log(`🔒 Environment: ${IS_PRODUCTION ? 'PRODUCTION' : 'DEVELOPMENT'}`);
     
@@ -1302,6 +2889,8 @@ app.listen(PORT, HOST, () => {
     
     console.log(`📊 Health Check: GET /health`);
     console.log(`📈 Status Monitor: GET /api/status`);
+    console.log(`📉 Prometheus Metrics: GET /metrics`);
+    console.log(`🖥️  Latency Dashboard: GET /dashboard`);
     
     if (IS_PRODUCTION) {
         console.log('✅ PRODUCTION DEPLOYMENT READY');
@@ -1317,15 +2906,30 @@ app.listen(PORT, HOST, () => {
     console.log(`\n🌐 API Documentation:`);
     console.log(`   Health: GET /health, /ping, /healthz`);
     console.log(`   Status: GET /api/status`);
-    console.log(`   Avatars: GET /api/avatars`);
-    console.log(`   Voices: GET /api/voices`);
+    console.log(`   Catalog: GET /api/catalog, GET /api/avatars, GET /api/voices?avatarId=`);
     console.log(`   Test Latency: POST /api/test-latency`);
+    console.log(`   Latency History: POST /api/latency, GET /api/latency/history`);
+    console.log(`   Latency Stats: GET /api/latency/stats`);
+    console.log(`   Latency Export: GET /api/latency/export?format=csv|json|timeline`);
+    console.log(`   Latency Stream: GET /api/latency/stream (SSE)`);
+    console.log(`   Network Latency: WS /api/ping, GET /api/latency/network`);
+    console.log(`   Sign Token: GET /api/duix/sign, POST /api/duix/sign/validity, POST/DELETE /api/auth/session`);
     console.log(`   Conversation: POST /api/duix/create-conversation`);
+    console.log(`   Conversations: GET/POST /api/duix/conversations, GET/PATCH/DELETE /api/duix/conversations/{id}`);
+    console.log(`   Templates: GET/POST /api/duix/templates, POST /api/duix/templates/import, GET /api/duix/templates/{id}/export`);
     console.log(`   Sessions: GET /api/duix/concurrent-sessions`);
     console.log(`   Stop Session: POST /api/duix/stop-session`);
+    console.log(`   Close All Sessions: POST /api/duix/close-all-sessions`);
+    console.log(`   Session Slots: POST /api/slots, GET /api/slots/tickets/{id}/events (SSE), POST /api/slots/{id}/heartbeat, DELETE /api/slots/{id}`);
+    console.log(`   Tenants: GET /api/admin/tenants, GET /api/admin/slots`);
+    console.log(`   Fault Injection: GET/PUT/DELETE /api/admin/fault-injection`);
+    console.log(`   Circuit Breakers: GET /api/admin/circuit-breaker, POST /api/admin/circuit-breaker/{force-open|force-close|reset}`);
     
     if (!IS_PRODUCTION) {
         console.log(`   Debug Token: GET /api/debug/test-duix-token`);
-        console.log(`   Sign Token: GET /api/duix/sign`);
     }
-});
\ No newline at end of file
+});
+
+if (pingChannel) {
+    pingChannel.attach(server);
+}